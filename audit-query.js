@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * StratoForce AI — Audit Log Query
+ *
+ * Filter the JSONL audit log written with AUDIT_LOG=file.
+ *
+ * Usage:
+ *   node audit-query.js --user 005xx0000012345 --since 2026-10-01
+ *   node audit-query.js --tool get_leaderboard --until 2026-10-31 --format table
+ *   node audit-query.js --dir /var/log/stratoforce --outcome error
+ *
+ * --user matches an API key name, OAuth sub (org ID) or Salesforce user ID.
+ * Dates are ISO; a bare --until date includes that whole day (UTC).
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { parseArgs } from 'node:util';
+import { queryAuditLog } from './audit.js';
+
+const USAGE = 'Usage: node audit-query.js [--dir DIR] [--user ID] [--tool NAME] [--session ID] [--outcome ok|error|denied] [--since DATE] [--until DATE] [--limit N] [--format jsonl|table]';
+
+function parseDate(value, name, endOfDay = false) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`--${name} is not a date: ${value}`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+function parseLimit(value) {
+  if (value === undefined) return Infinity;
+  if (!/^\d+$/.test(value.trim()) || Number(value) < 1) {
+    throw new Error(`--limit must be a positive whole number: ${value}\n${USAGE}`);
+  }
+  return Number(value);
+}
+
+function tableRow(record) {
+  const who = record.identity ? `${record.identity.kind}:${record.identity.name}` : '-';
+  const calls = record.salesforceCalls?.length ?? 0;
+  return [record.ts, who, record.org || '-', `${record.type}:${record.name}`, record.outcome, `${record.durationMs}ms`, `${calls} sf`].join('  ');
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        dir: { type: 'string', default: process.env.AUDIT_LOG_DIR || './audit' },
+        user: { type: 'string' },
+        tool: { type: 'string' },
+        session: { type: 'string' },
+        outcome: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        limit: { type: 'string' },
+        format: { type: 'string', default: 'jsonl' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const filters = {
+    user: values.user,
+    tool: values.tool,
+    session: values.session,
+    outcome: values.outcome,
+    since: parseDate(values.since, 'since'),
+    until: parseDate(values.until, 'until', true),
+  };
+  const limit = parseLimit(values.limit);
+
+  let count = 0;
+  for await (const record of queryAuditLog(values.dir, filters)) {
+    console.log(values.format === 'table' ? tableRow(record) : JSON.stringify(record));
+    if (++count >= limit) break;
+  }
+}
+
+main().catch(err => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+/**
+ * StratoForce AI — Audit Log
+ *
+ * One JSONL record per tool call, resource read and prompt get, so access to
+ * revenue data can be traced back to a caller:
+ *
+ *   { "ts": "...", "type": "tool", "name": "get_deal_details", "sessionId": "...",
+ *     "identity": { "kind": "oauth", "name": "005...", "sub": "00D...", "userId": "005..." },
+ *     "org": "oauth:00D...", "args": { ... }, "salesforceCalls": [ ... ],
+ *     "durationMs": 412, "outcome": "ok" }
+ *
+ * Destinations (AUDIT_LOG):
+ *   off    — default
+ *   stdout — one line per record (stderr in stdio mode, where stdout is the protocol)
+ *   file   — AUDIT_LOG_DIR/audit.jsonl, rotated to audit.jsonl.1 ... .N by size
+ *
+ * Arguments are redacted before writing: credential-like keys are masked and
+ * long strings are replaced by their length.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readdirSync, renameSync, rmSync, statSync, createReadStream } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+
+const LOG_NAME = 'audit.jsonl';
+
+// ── Redaction ──
+
+const SECRET_KEY = /token|secret|password|passwd|api[-_]?key|authorization|credential/i;
+const MAX_STRING = 200;
+
+/** Copy of a tool's arguments that is safe to keep in the audit log. */
+function redactArgs(value, key = '') {
+  if (SECRET_KEY.test(key)) return '[redacted]';
+  if (typeof value === 'string') return value.length > MAX_STRING ? `[${value.length} chars]` : value;
+  if (Array.isArray(value)) return value.map(v => redactArgs(v));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactArgs(v, k)]));
+  }
+  return value;
+}
+
+// ── Writers ──
+
+/**
+ * Create the audit log writer.
+ * @param {object} options - { destination, dir, maxBytes, maxFiles, stream }
+ */
+function createAuditLog({ destination = 'off', dir = './audit', maxBytes = 10 * 1024 * 1024, maxFiles = 10, stream = process.stdout } = {}) {
+  if (destination === 'off') return { enabled: false, write() {} };
+  if (destination === 'stdout') {
+    return {
+      enabled: true,
+      write(record) {
+        stream.write(JSON.stringify(record) + '\n');
+      },
+    };
+  }
+  if (destination !== 'file') throw new Error(`AUDIT_LOG must be off, stdout or file (got "${destination}")`);
+
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const file = join(dir, LOG_NAME);
+  let size = existsSync(file) ? statSync(file).size : 0;
+
+  // audit.jsonl → .1 → .2 ...; the oldest beyond maxFiles is deleted
+  const rotate = () => {
+    rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (existsSync(`${file}.${i}`)) renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    renameSync(file, `${file}.1`);
+    size = 0;
+  };
+
+  // A failing disk (full, EACCES) is reported on stderr, once per action until
+  // it works again, and never fails the call being audited
+  const failing = new Set();
+  const attempt = (action, fn) => {
+    try {
+      fn();
+      if (failing.delete(action)) console.error(`Audit log ${action} in ${dir} is working again`);
+    } catch (err) {
+      if (!failing.has(action)) console.error(`Audit log ${action} in ${dir} failed: ${err.message}`);
+      failing.add(action);
+    }
+  };
+
+  return {
+    enabled: true,
+    // Synchronous so a record is on disk before the response goes out
+    write(record) {
+      const line = JSON.stringify(record) + '\n';
+      const bytes = Buffer.byteLength(line);
+      if (size && size + bytes > maxBytes) attempt('rotation', rotate);
+      attempt('write', () => {
+        appendFileSync(file, line, { mode: 0o600 });
+        size += bytes;
+      });
+    },
+  };
+}
+
+/** AUDIT_LOG, AUDIT_LOG_DIR, AUDIT_LOG_MAX_MB, AUDIT_LOG_MAX_FILES */
+function auditOptionsFromEnv(env = process.env) {
+  return {
+    destination: (env.AUDIT_LOG || 'off').toLowerCase(),
+    dir: env.AUDIT_LOG_DIR || './audit',
+    maxBytes: (parseFloat(env.AUDIT_LOG_MAX_MB) || 10) * 1024 * 1024,
+    maxFiles: parseInt(env.AUDIT_LOG_MAX_FILES) || 10,
+  };
+}
+
+// ── Query ──
+
+/** Log files in a directory, oldest first. */
+function auditFiles(dir) {
+  const rotated = readdirSync(dir)
+    .map(name => /^audit\.jsonl\.(\d+)$/.exec(name))
+    .filter(Boolean)
+    .sort((a, b) => Number(b[1]) - Number(a[1]))
+    .map(match => join(dir, match[0]));
+  const current = join(dir, LOG_NAME);
+  return existsSync(current) ? [...rotated, current] : rotated;
+}
+
+/**
+ * Does a record match the filters?
+ * @param {object} filters - { user, tool, session, outcome, since, until } — user
+ *   matches the identity's name, sub or userId; since/until are Dates
+ */
+function matchesAudit(record, { user, tool, session, outcome, since, until } = {}) {
+  if (user) {
+    const { name, sub, userId } = record.identity || {};
+    if (![name, sub, userId].includes(user)) return false;
+  }
+  if (tool && record.name !== tool) return false;
+  if (session && record.sessionId !== session) return false;
+  if (outcome && record.outcome !== outcome) return false;
+  const ts = Date.parse(record.ts);
+  if (since && ts < since.getTime()) return false;
+  if (until && ts >= until.getTime()) return false;
+  return true;
+}
+
+/**
+ * Stream matching records from an audit directory, oldest first.
+ */
+async function* queryAuditLog(dir, filters = {}) {
+  for (const file of auditFiles(dir)) {
+    const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // partial line from a crash mid-write
+      }
+      if (matchesAudit(record, filters)) yield record;
+    }
+  }
+}
+
+// ── Exports ──
+
+export {
+  redactArgs,
+  createAuditLog,
+  auditOptionsFromEnv,
+  matchesAudit,
+  queryAuditLog,
+};
@@ -0,0 +1,86 @@
+/**
+ * StratoForce AI — Response Cache
+ *
+ * In-memory TTL cache for Salesforce responses, bounded by approximate size
+ * with least-recently-used eviction. Callers build keys that include the org,
+ * the user and the normalized request, so cached data never crosses sessions
+ * that couldn't see it anyway.
+ *
+ * Interface:
+ *   get(key)                   → value | undefined
+ *   set(key, value, ttlSeconds)
+ *   clear()
+ *   stats()                    → { hits, misses, evictions, entries, bytes, maxBytes }
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+/** Rough in-memory size of a JSON value (UTF-16 string length × 2). */
+function sizeOf(value) {
+  return JSON.stringify(value ?? null).length * 2;
+}
+
+/**
+ * Create a cache holding at most maxBytes (approximate) of values.
+ */
+function createCache({ maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const entries = new Map(); // key → { value, bytes, expiresAt } — Map order is LRU order
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    bytes -= entry.bytes;
+    entries.delete(key);
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) remove(key);
+        misses++;
+        return undefined;
+      }
+      // Move to the most-recently-used end
+      entries.delete(key);
+      entries.set(key, entry);
+      hits++;
+      return entry.value;
+    },
+
+    set(key, value, ttlSeconds) {
+      if (!ttlSeconds || ttlSeconds <= 0) return;
+      const size = sizeOf(value) + key.length * 2;
+      remove(key);
+      if (size > maxBytes) return; // would evict everything else; not worth it
+      while (bytes + size > maxBytes && entries.size) {
+        remove(entries.keys().next().value);
+        evictions++;
+      }
+      entries.set(key, { value, bytes: size, expiresAt: Date.now() + ttlSeconds * 1000 });
+      bytes += size;
+    },
+
+    clear() {
+      entries.clear();
+      bytes = 0;
+    },
+
+    stats() {
+      return { hits, misses, evictions, entries: entries.size, bytes, maxBytes };
+    },
+  };
+}
+
+// ── Exports ──
+
+export {
+  createCache,
+};
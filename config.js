@@ -0,0 +1,173 @@
+/**
+ * StratoForce AI — Server Configuration
+ *
+ * Org-specific names and tunable thresholds, validated with zod. Values come
+ * from the defaults below, then STRATOFORCE_CONFIG_FILE (JSON or YAML), then
+ * env var overrides:
+ *
+ *   salesforce:
+ *     apiVersion: v62.0                         # SF_API_VERSION
+ *     namespace: stratoforce__                  # SF_NAMESPACE ("" for unmanaged dev orgs)
+ *     apexBasePath: /services/apexrest/stratoforce   # SF_APEX_BASE_PATH
+ *   thresholds:
+ *     staleDays: 14                             # STALE_DEAL_DAYS
+ *     alertDays: 7                              # ALERT_LOOKBACK_DAYS
+ *     championAtRiskDays: 7                     # CHAMPION_AT_RISK_DAYS
+ *     championDarkDays: 14                      # CHAMPION_DARK_DAYS
+ *     bottleneckDeals: 5                        # BOTTLENECK_DEALS
+ *     accountActivityDays: 30                   # ACCOUNT_ACTIVITY_DAYS
+ *   accountHealth:
+ *     base: 50
+ *     existingCustomer: 20
+ *     openPipeline: 15
+ *     activeEngagement: 15
+ *     activeEngagementMinActivities: 5
+ *   dealScore:                                  # score_deal (scoring.js)
+ *     weights:                                  # relative; 0 turns a factor off
+ *       stageAge: 15
+ *       activity: 20
+ *       contactCoverage: 15
+ *       primaryContact: 10
+ *       closeDateSlips: 15
+ *       sentiment: 15
+ *       meddic: 10
+ *     stageAgeDays: 30                          # days in stage before it costs points
+ *     targetContacts: 3                         # contact roles for full coverage
+ *     sentimentRange: [-1, 1]                   # Sentiment_Score__c scale
+ *     meddicRange: [0, 100]                     # MEDDIC_Score__c scale
+ *   money:                                      # currency.js
+ *     currency: EUR                             # REPORT_CURRENCY (default: caller's, else corporate)
+ *     locale: de-DE                             # REPORT_LOCALE (default: caller's, else org's)
+ *
+ * Queries and code use the managed package's stratoforce__ names; sfQuery()
+ * translates them to the configured namespace and back (soql.js).
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { readFileSync } from 'node:fs';
+import { z } from 'zod';
+import { parse as parseYaml } from 'yaml';
+
+// ── Schema ──
+
+const days = z.coerce.number().int().min(1).max(2000);
+const points = z.coerce.number().min(0).max(100);
+const optional = (schema) => z.preprocess(v => (v === '' || v === null ? undefined : v), schema.optional());
+const range = z.tuple([z.number(), z.number()]).refine(([min, max]) => min < max, 'must be [min, max] with min < max');
+
+const ConfigSchema = z.object({
+  salesforce: z.object({
+    apiVersion: z.string().regex(/^v\d{2,3}\.0$/, 'must look like v62.0').default('v62.0'),
+    namespace: z.string().regex(/^(?:[A-Za-z][A-Za-z0-9]*__)?$/, 'must be empty or a prefix like stratoforce__').default('stratoforce__'),
+    apexBasePath: z.string().regex(/^\/services\/apexrest(?:\/[A-Za-z0-9_-]+)*$/, 'must start with /services/apexrest').default('/services/apexrest/stratoforce'),
+  }).strict().default({}),
+  thresholds: z.object({
+    staleDays: days.default(14),
+    alertDays: days.default(7),
+    championAtRiskDays: days.default(7),
+    championDarkDays: days.default(14),
+    bottleneckDeals: z.coerce.number().int().min(0).default(5),
+    accountActivityDays: days.default(30),
+  }).strict().default({})
+    .refine(t => t.championAtRiskDays < t.championDarkDays, {
+      message: 'championAtRiskDays must be less than championDarkDays',
+      path: ['championAtRiskDays'],
+    }),
+  accountHealth: z.object({
+    base: points.default(50),
+    existingCustomer: points.default(20),
+    openPipeline: points.default(15),
+    activeEngagement: points.default(15),
+    activeEngagementMinActivities: z.coerce.number().int().min(0).default(5),
+  }).strict().default({}),
+  dealScore: z.object({
+    weights: z.object({
+      stageAge: points.default(15),
+      activity: points.default(20),
+      contactCoverage: points.default(15),
+      primaryContact: points.default(10),
+      closeDateSlips: points.default(15),
+      sentiment: points.default(15),
+      meddic: points.default(10),
+    }).strict().default({})
+      .refine(w => Object.values(w).some(v => v > 0), 'at least one weight must be above 0'),
+    stageAgeDays: days.default(30),
+    targetContacts: z.coerce.number().int().min(0).default(3),
+    sentimentRange: range.default([-1, 1]),
+    meddicRange: range.default([0, 100]),
+  }).strict().default({}),
+  money: z.object({
+    currency: optional(z.string().regex(/^[A-Za-z]{3}$/, 'must be an ISO 4217 code like EUR').transform(c => c.toUpperCase())),
+    locale: optional(z.string().refine(l => {
+      try {
+        return Intl.getCanonicalLocales(l).length === 1;
+      } catch {
+        return false;
+      }
+    }, 'must be a BCP 47 locale like de-DE')),
+  }).strict().default({}),
+}).strict();
+
+// Env var → config path
+const ENV_OVERRIDES = {
+  SF_API_VERSION: 'salesforce.apiVersion',
+  SF_NAMESPACE: 'salesforce.namespace',
+  SF_APEX_BASE_PATH: 'salesforce.apexBasePath',
+  STALE_DEAL_DAYS: 'thresholds.staleDays',
+  ALERT_LOOKBACK_DAYS: 'thresholds.alertDays',
+  CHAMPION_AT_RISK_DAYS: 'thresholds.championAtRiskDays',
+  CHAMPION_DARK_DAYS: 'thresholds.championDarkDays',
+  BOTTLENECK_DEALS: 'thresholds.bottleneckDeals',
+  ACCOUNT_ACTIVITY_DAYS: 'thresholds.accountActivityDays',
+  REPORT_CURRENCY: 'money.currency',
+  REPORT_LOCALE: 'money.locale',
+};
+
+// ── Loading ──
+
+function readConfigFile(file) {
+  try {
+    const text = readFileSync(file, 'utf-8');
+    return (/\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text)) ?? {};
+  } catch (err) {
+    throw new Error(`Cannot load config ${file}: ${err.message}`);
+  }
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+/**
+ * Load and validate the configuration. Throws with every problem listed.
+ */
+function loadConfig(env = process.env) {
+  const file = env.STRATOFORCE_CONFIG_FILE;
+  const raw = file ? readConfigFile(file) : {};
+  // Set but empty is meaningful for SF_NAMESPACE (no namespace)
+  for (const [name, path] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined) setPath(raw, path, env[name]);
+  }
+  const parsed = ConfigSchema.safeParse(raw);
+  if (!parsed.success) {
+    const problems = parsed.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+    throw new Error(`Invalid configuration${file ? ` in ${file}` : ''}: ${problems}`);
+  }
+  return parsed.data;
+}
+
+// ── Exports ──
+
+export {
+  ConfigSchema,
+  loadConfig,
+};
@@ -0,0 +1,158 @@
+/**
+ * StratoForce AI — Currency
+ *
+ * Converts and formats money for single- and multi-currency orgs.
+ *
+ * An org's currency profile comes from its active CurrencyType rows
+ * (multi-currency orgs) or its default currency. With advanced currency
+ * management, DatedConversionRate periods are loaded too, and opportunity
+ * amounts convert at the rate in effect on their close date.
+ *
+ * Salesforce returns record amounts in the record's CurrencyIsoCode and
+ * aggregate results (SUM, AVG) in the corporate currency — convertCurrency()
+ * can't wrap an aggregate. createMoney() converts both into one report
+ * currency, in place on query results, and formats with Intl.NumberFormat:
+ *
+ *   const money = createMoney(profile, { currency: 'EUR', locale: 'de-DE' });
+ *   money.records(result.records);           // Amount → EUR
+ *   money.aggregates(totals.records);        // total, avg_amt → EUR
+ *   money.format(12345.6);                   // "12.346 €"
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+const FALLBACK_CURRENCY = 'USD';
+const FALLBACK_LOCALE = 'en-US';
+
+// ── Locales ──
+
+/** Salesforce LocaleSidKey ("en_US", "de_DE_EURO", "sr_Latn_RS") → BCP 47 ("en-US"); null if unusable. */
+function localeFromSid(sid) {
+  if (!sid) return null;
+  const [language, ...rest] = String(sid).split('_');
+  const script = rest.find(p => /^[A-Z][a-z]{3}$/.test(p));
+  const region = rest.find(p => /^[A-Z]{2}$/.test(p));
+  try {
+    return Intl.getCanonicalLocales([language, script, region].filter(Boolean).join('-'))[0];
+  } catch {
+    return null;
+  }
+}
+
+// ── Profiles ──
+
+/**
+ * Build an org's currency profile.
+ * @param {object} source
+ * @param {object[]|null} source.currencyTypes - active CurrencyType rows, or null for a single-currency org
+ * @param {object[]} [source.datedRates] - DatedConversionRate rows (advanced currency management)
+ * @param {string} [source.defaultCurrency] - Organization.DefaultCurrencyIsoCode (single-currency orgs)
+ * @param {string} [source.localeSid] - Organization.DefaultLocaleSidKey
+ */
+function currencyProfile({ currencyTypes = null, datedRates = [], defaultCurrency, localeSid }) {
+  const rates = new Map(); // isoCode → { rate, decimals } per 1 unit of corporate currency
+  let corporate;
+  if (currencyTypes) {
+    for (const c of currencyTypes) {
+      rates.set(c.IsoCode, { rate: c.ConversionRate, decimals: c.DecimalPlaces ?? 2 });
+      if (c.IsCorporate) corporate = c.IsoCode;
+    }
+  }
+  if (!corporate) {
+    corporate = defaultCurrency || FALLBACK_CURRENCY;
+    rates.set(corporate, { rate: 1, decimals: 2 });
+  }
+
+  const dated = new Map(); // isoCode → [{ start, end, rate }]
+  for (const d of datedRates) {
+    if (!dated.has(d.IsoCode)) dated.set(d.IsoCode, []);
+    dated.get(d.IsoCode).push({ start: d.StartDate, end: d.NextStartDate, rate: d.ConversionRate });
+  }
+
+  return {
+    multiCurrency: Boolean(currencyTypes),
+    advanced: dated.size > 0,
+    corporate,
+    rates,
+    dated,
+    locale: localeFromSid(localeSid),
+  };
+}
+
+// ── Money ──
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Converter and formatter for one report currency.
+ * @param {object} profile - from currencyProfile()
+ * @param {object} [options] - { currency (default: corporate), locale }
+ */
+function createMoney(profile, { currency, locale } = {}) {
+  const code = (currency || profile.corporate).toUpperCase();
+  if (!profile.rates.has(code)) {
+    throw new Error(profile.multiCurrency
+      ? `${code} is not an active currency in this org (active: ${[...profile.rates.keys()].join(', ')})`
+      : `This org uses only ${profile.corporate}; reporting in ${code} needs multi-currency enabled`);
+  }
+  const resolvedLocale = locale || profile.locale || FALLBACK_LOCALE;
+  // Whole units, like the rest of the reports
+  const formatter = new Intl.NumberFormat(resolvedLocale, { style: 'currency', currency: code, maximumFractionDigits: 0, minimumFractionDigits: 0 });
+
+  // Rate for a currency on a date (YYYY-MM-DD): the dated period covering it, else the static rate
+  const rateOf = (isoCode, date) => {
+    if (date && profile.advanced) {
+      const period = profile.dated.get(isoCode)?.find(p => p.start <= date && date < p.end);
+      if (period) return period.rate;
+    }
+    const known = profile.rates.get(isoCode);
+    if (!known) throw new Error(`No conversion rate for ${isoCode}`);
+    return known.rate;
+  };
+
+  /** Amount in `from` (default corporate) → report currency; null stays null. */
+  const convert = (amount, from = profile.corporate, date = null) => {
+    if (amount === null || amount === undefined) return amount;
+    const source = from || profile.corporate;
+    if (source === code && !(date && profile.advanced)) return amount;
+    return round2((amount / rateOf(source, date)) * rateOf(code, date));
+  };
+
+  return {
+    code,
+    locale: resolvedLocale,
+    corporate: profile.corporate,
+    multiCurrency: profile.multiCurrency,
+    convert,
+
+    /** Convert record fields in place from each record's currency (dated by CloseDate when available). */
+    records(list, fields = ['Amount']) {
+      for (const r of list) {
+        for (const f of fields) if (f in r) r[f] = convert(r[f], r.CurrencyIsoCode, r.CloseDate);
+      }
+      return list;
+    },
+
+    /** Convert aggregate result fields in place from the corporate currency. */
+    aggregates(list, fields = ['total', 'avg_amt']) {
+      for (const r of list) {
+        for (const f of fields) if (f in r) r[f] = convert(r[f]);
+      }
+      return list;
+    },
+
+    /** Format an amount already in the report currency (null as 0). */
+    format(amount) {
+      return formatter.format(amount || 0);
+    },
+  };
+}
+
+// ── Exports ──
+
+export {
+  localeFromSid,
+  currencyProfile,
+  createMoney,
+};
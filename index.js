@@ -20,6 +20,15 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
 import { execSync } from 'node:child_process';
+import { loadConfig } from './config.js';
+import { withNamespace, fromNamespace, isoDate } from './soql.js';
+import { parseTranscript, conversationFields } from './transcript.js';
+import { scoreDeal, formatDealScore } from './scoring.js';
+
+// API version, namespace, Apex REST base and thresholds (config.js)
+const config = loadConfig();
+const { namespace } = config.salesforce;
+const { staleDays, alertDays } = config.thresholds;
 
 // ── Salesforce Auth ──
 
@@ -41,17 +50,18 @@ function getSalesforceAuth(targetOrg = 'stratoforce-dev') {
 
 async function sfQuery(soql) {
   const { accessToken, instanceUrl } = getSalesforceAuth();
-  const url = `${instanceUrl}/services/data/v62.0/query?q=${encodeURIComponent(soql)}`;
+  const url = `${instanceUrl}/services/data/${config.salesforce.apiVersion}/query?q=${encodeURIComponent(withNamespace(soql, namespace))}`;
   const res = await fetch(url, {
     headers: { Authorization: `Bearer ${accessToken}` },
   });
   if (!res.ok) throw new Error(`SOQL failed (${res.status}): ${await res.text()}`);
-  return res.json();
+  const result = await res.json();
+  return { ...result, records: fromNamespace(result.records, namespace) };
 }
 
 async function sfApexRest(path, method = 'GET', body = null) {
   const { accessToken, instanceUrl } = getSalesforceAuth();
-  const url = `${instanceUrl}/services/apexrest/stratoforce${path}`;
+  const url = `${instanceUrl}${config.salesforce.apexBasePath}${path}`;
   const opts = {
     method,
     headers: {
@@ -65,6 +75,22 @@ async function sfApexRest(path, method = 'GET', body = null) {
   return res.json();
 }
 
+async function sfCreate(sobject, fields) {
+  const { accessToken, instanceUrl } = getSalesforceAuth();
+  const url = `${instanceUrl}/services/data/${config.salesforce.apiVersion}/sobjects/${withNamespace(sobject, namespace)}`;
+  const body = Object.fromEntries(Object.entries(fields).map(([name, value]) => [withNamespace(name, namespace), value]));
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`Create ${sobject} failed (${res.status}): ${await res.text()}`);
+  return (await res.json()).id;
+}
+
 // ── MCP Server Setup ──
 
 const server = new McpServer({
@@ -116,7 +142,7 @@ server.resource(
       SELECT Id, Name, stratoforce__Alert_Type__c, stratoforce__Severity__c,
              stratoforce__Message__c, CreatedDate
       FROM stratoforce__AI_Alert__c
-      WHERE CreatedDate = LAST_N_DAYS:7
+      WHERE CreatedDate = LAST_N_DAYS:${alertDays}
       ORDER BY CreatedDate DESC LIMIT 20
     `);
 
@@ -127,7 +153,7 @@ server.resource(
     return {
       contents: [{
         uri: uri.href,
-        text: `# Active Revenue Alerts (Last 7 Days)\n\n${alerts || 'No active alerts.'}`,
+        text: `# Active Revenue Alerts (Last ${alertDays} Days)\n\n${alerts || 'No active alerts.'}`,
         mimeType: 'text/plain',
       }],
     };
@@ -186,10 +212,10 @@ server.tool(
         AND CloseDate = THIS_MONTH
       `);
 
-      // Stale deals (no activity in 14+ days)
+      // Stale deals (no activity in staleDays+ days)
       const stale = await sfQuery(`
         SELECT COUNT(Id) cnt FROM Opportunity
-        WHERE IsClosed = false AND LastActivityDate < LAST_N_DAYS:14
+        WHERE IsClosed = false AND LastActivityDate < LAST_N_DAYS:${staleDays}
       `);
 
       // Won/Lost this quarter
@@ -221,7 +247,7 @@ server.tool(
         stages,
         ``,
         `Closing This Month: ${cm.cnt || 0} deals, $${(cm.total || 0).toLocaleString()}`,
-        `Stale Deals (14+ days no activity): ${staleCount}`,
+        `Stale Deals (${staleDays}+ days no activity): ${staleCount}`,
         `Win Rate (This Quarter): ${winRate}`,
         wonRec ? `Won This Quarter: ${wonRec.cnt} deals, $${(wonRec.total || 0).toLocaleString()}` : '',
         lostRec ? `Lost This Quarter: ${lostRec.cnt} deals, $${(lostRec.total || 0).toLocaleString()}` : '',
@@ -300,6 +326,47 @@ server.tool(
   }
 );
 
+server.tool(
+  'score_deal',
+  'Explainable 0–100 deal score from stage age, activity recency, contact coverage, primary contact, close-date slips, conversation sentiment and MEDDIC, with a per-factor breakdown and the top reasons it is low',
+  { opportunityId: z.string().describe('Salesforce Opportunity ID (starts with 006)') },
+  async ({ opportunityId }) => {
+    try {
+      const id = opportunityId.replace(/'/g, '');
+      const opp = await sfQuery(`
+        SELECT Id, Name, StageName, CloseDate, IsClosed, CreatedDate, LastActivityDate
+        FROM Opportunity WHERE Id = '${id}' LIMIT 1
+      `);
+      if (!opp.records.length) {
+        return { content: [{ type: 'text', text: `No opportunity found with ID: ${opportunityId}` }] };
+      }
+
+      const contactRoles = await sfQuery(`
+        SELECT Contact.Name, Role, IsPrimary FROM OpportunityContactRole WHERE OpportunityId = '${id}'
+      `);
+      const history = await sfQuery(`
+        SELECT StageName, CloseDate, CreatedDate
+        FROM OpportunityHistory WHERE OpportunityId = '${id}' ORDER BY CreatedDate ASC
+      `);
+      const analyses = await sfQuery(`
+        SELECT stratoforce__Sentiment_Score__c, stratoforce__MEDDIC_Score__c
+        FROM stratoforce__Conversation_Analysis__c
+        WHERE stratoforce__Conversation__r.stratoforce__Opportunity__c = '${id}'
+        ORDER BY CreatedDate DESC LIMIT 10
+      `);
+
+      const r = opp.records[0];
+      const result = scoreDeal(
+        { opportunity: r, contactRoles: contactRoles.records, history: history.records, analyses: analyses.records },
+        { ...config.dealScore, staleDays }
+      );
+      return { content: [{ type: 'text', text: formatDealScore(r.Name, result) }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+    }
+  }
+);
+
 server.tool(
   'generate_briefing',
   'Generate a pre-call briefing for an upcoming meeting on a deal. Includes stakeholder map, competitive intel, risk factors, talking points, and suggested next steps',
@@ -374,7 +441,7 @@ server.tool(
       const stale = await sfQuery(`
         SELECT Id, Name, StageName, Amount, LastActivityDate, Owner.Name
         FROM Opportunity
-        WHERE IsClosed = false AND LastActivityDate < LAST_N_DAYS:14
+        WHERE IsClosed = false AND LastActivityDate < LAST_N_DAYS:${staleDays}
         ORDER BY Amount DESC NULLS LAST LIMIT 10
       `);
 
@@ -398,7 +465,7 @@ server.tool(
         `Pipeline Risk Scan`,
         `==================`,
         ``,
-        `Stale Deals (14+ days no activity): ${stale.records.length}`,
+        `Stale Deals (${staleDays}+ days no activity): ${stale.records.length}`,
         staleList || '  ✅ None',
         ``,
         `Past Close Date: ${pastDue.records.length}`,
@@ -447,6 +514,61 @@ server.tool(
   }
 );
 
+server.tool(
+  'ingest_conversation',
+  'Push a call transcript (plain text, WebVTT or SRT) into StratoForce as a Conversation on a deal, and request its analysis. Re-ingesting the same call is detected by source ID.',
+  {
+    opportunityId: z.string().describe('Salesforce Opportunity ID (starts with 006)'),
+    transcript: z.string().min(1).describe('Transcript text: plain "Speaker: text" lines, WebVTT or SRT'),
+    format: z.enum(['auto', 'text', 'vtt', 'srt']).optional().describe('Transcript format (default: detected)'),
+    date: z.string().describe('Call date (YYYY-MM-DD)'),
+    platform: z.string().describe('Source platform (e.g. "Zoom", "Gong", "Teams")'),
+    participants: z.array(z.string()).optional().describe('Participant names; speakers found in the transcript are added'),
+    type: z.string().optional().describe('Conversation type (default "Call")'),
+    sourceId: z.string().max(255).optional().describe('ID of the call on the source platform, used to skip re-ingestion (default: a hash of the deal, date and transcript)'),
+  },
+  async ({ opportunityId, transcript, format = 'auto', date, platform, participants = [], type = 'Call', sourceId }) => {
+    try {
+      const id = opportunityId.replace(/'/g, '');
+      const day = isoDate(date).text;
+      const parsed = parseTranscript(transcript, format);
+      const fields = conversationFields({ opportunityId: id, date: day, platform, type, participants, sourceId }, parsed);
+
+      const existing = await sfQuery(`
+        SELECT Id, stratoforce__Date__c FROM stratoforce__Conversation__c
+        WHERE stratoforce__Source_Id__c = '${fields.stratoforce__Source_Id__c.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}' LIMIT 1
+      `);
+      if (existing.records.length) {
+        const c = existing.records[0];
+        return { content: [{ type: 'text', text: `Already ingested: Conversation ${c.Id} (${c.stratoforce__Date__c}) has source ID ${fields.stratoforce__Source_Id__c}. Nothing was created.` }] };
+      }
+
+      const conversationId = await sfCreate('stratoforce__Conversation__c', fields);
+      let analysis = 'requested';
+      try {
+        await sfApexRest('/stratoforce/analyzeconversation', 'POST', { conversationId });
+      } catch (err) {
+        analysis = /\(404\)/.test(err.message) ? 'not available in this org' : `not started — ${err.message}`;
+      }
+
+      const text = [
+        `Conversation Ingested`,
+        `=====================`,
+        `Conversation: ${conversationId}`,
+        `Opportunity: ${id} | Date: ${day} | Platform: ${platform} | Type: ${type}`,
+        `Format: ${parsed.format} | Segments: ${parsed.segments.length} | Duration: ${fields.stratoforce__Duration__c ?? 'N/A'}min`,
+        `Participants: ${fields.stratoforce__Participants__c || 'None identified'}`,
+        `Source ID: ${fields.stratoforce__Source_Id__c}`,
+        `Analysis: ${analysis}`,
+      ].join('\n');
+
+      return { content: [{ type: 'text', text }] };
+    } catch (err) {
+      return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+    }
+  }
+);
+
 // ════════════════════════════════════════════
 // PROMPTS — Pre-built templates
 // ════════════════════════════════════════════
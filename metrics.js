@@ -0,0 +1,136 @@
+/**
+ * StratoForce AI — Prometheus Metrics
+ *
+ * A small metrics registry rendered in the Prometheus text exposition format
+ * (version 0.0.4) for GET /metrics. Modules register their metrics on the
+ * shared `registry`:
+ *
+ *   const calls = registry.counter('stratoforce_x_total', 'Help text', ['tool']);
+ *   calls.inc({ tool: 'scan_risks' });
+ *
+ *   counter(name, help, labelNames, collect?)   → { inc(labels, n) }
+ *   gauge(name, help, labelNames, collect?)     → { set(labels, v) }
+ *   histogram(name, help, labelNames, buckets)  → { observe(labels, v) }
+ *   render()                                    → text for the scrape response
+ *
+ * Counters and gauges given a collect() callback read their values at scrape
+ * time instead ([[labels, value], ...]) — for state another module already
+ * counts, like cache stats or open sessions.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+// Seconds; covers cached responses (ms) up to slow aggregate queries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ── Formatting ──
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = (value) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// ── Registry ──
+
+function createRegistry() {
+  const metrics = new Map(); // name → { type, help, labelNames, series, render }
+
+  // Series keyed by label values in labelNames order
+  const seriesKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map(l => String(labels[l] ?? '')));
+  const pickLabels = (labelNames, labels = {}) => Object.fromEntries(labelNames.map(l => [l, labels[l] ?? '']));
+
+  const define = (name, type, help, labelNames) => {
+    if (metrics.has(name)) throw new Error(`Metric ${name} already registered`);
+    const metric = { type, help, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  // Counter or gauge: one value per series, stored or collected
+  const defineSimple = (name, type, help, labelNames, collect) => {
+    const metric = define(name, type, help, labelNames);
+    metric.render = () => {
+      const series = collect
+        ? collect().map(([labels, value]) => ({ labels: pickLabels(labelNames, labels), value }))
+        : [...metric.series.values()];
+      return series.map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    };
+    return metric;
+  };
+
+  return {
+    counter(name, help, labelNames = [], collect = null) {
+      const metric = defineSimple(name, 'counter', help, labelNames, collect);
+      return {
+        inc(labels, n = 1) {
+          const key = seriesKey(labelNames, labels);
+          if (!metric.series.has(key)) metric.series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+          metric.series.get(key).value += n;
+        },
+      };
+    },
+
+    gauge(name, help, labelNames = [], collect = null) {
+      const metric = defineSimple(name, 'gauge', help, labelNames, collect);
+      return {
+        set(labels, value) {
+          metric.series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+        },
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const metric = define(name, 'histogram', help, labelNames);
+      metric.render = () => [...metric.series.values()].flatMap(s => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}`),
+        `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`,
+        `${name}_count${formatLabels(s.labels)} ${s.count}`,
+      ]);
+      return {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!metric.series.has(key)) {
+            metric.series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const s = metric.series.get(key);
+          buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+          s.sum += value;
+          s.count++;
+        },
+      };
+    },
+
+    render() {
+      const lines = [];
+      for (const [name, metric] of metrics) {
+        lines.push(`# HELP ${name} ${escapeHelp(metric.help)}`, `# TYPE ${name} ${metric.type}`, ...metric.render());
+      }
+      return lines.join('\n') + '\n';
+    },
+  };
+}
+
+// Shared by server.js and oauth.js
+const registry = createRegistry();
+
+// ── Exports ──
+
+export {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry,
+};
@@ -0,0 +1,276 @@
+/**
+ * StratoForce AI — OAuth State Storage
+ *
+ * Key/value storage with per-entry TTL for the OAuth server's state
+ * (pending authorize requests, auth codes, refresh tokens, token families).
+ *
+ * Backends (OAUTH_STORE):
+ *   memory — in-process Maps; lost on restart. Default, and for tests.
+ *   file   — one JSON file (OAUTH_STORE_FILE), written atomically under a lock
+ *            file. Survives restarts and can be shared by replicas on a
+ *            common volume. The parsed file is cached and only re-read when
+ *            another process has replaced it, so reads cost a stat().
+ *
+ * Interface (all async):
+ *   get(ns, key)          → value | null
+ *   set(ns, key, value, ttlSeconds)
+ *   delete(ns, key)
+ *   take(ns, key)         → value | null   (atomic get + delete, for one-time codes)
+ *   update(ns, key, fn)   → previous value | null   (atomic read-modify-write;
+ *                            fn(prev) returns the next value, keeps the TTL)
+ *   prune()               → drop expired entries
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { readFile, writeFile, rename, open, unlink, stat } from 'node:fs/promises';
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+
+function expiresAtFor(ttlSeconds) {
+  return ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+}
+
+function isLive(entry, now = Date.now()) {
+  return entry && (!entry.expiresAt || entry.expiresAt > now);
+}
+
+// ── Memory Backend ──
+
+function createMemoryStore() {
+  const namespaces = new Map(); // ns → Map(key → { value, expiresAt })
+
+  const ns = (name) => {
+    if (!namespaces.has(name)) namespaces.set(name, new Map());
+    return namespaces.get(name);
+  };
+
+  const read = (name, key) => {
+    const entry = ns(name).get(key);
+    if (!isLive(entry)) {
+      ns(name).delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    type: 'memory',
+
+    async get(name, key) {
+      return read(name, key)?.value ?? null;
+    },
+
+    async set(name, key, value, ttlSeconds) {
+      ns(name).set(key, { value, expiresAt: expiresAtFor(ttlSeconds) });
+    },
+
+    async delete(name, key) {
+      ns(name).delete(key);
+    },
+
+    async take(name, key) {
+      const entry = read(name, key);
+      ns(name).delete(key);
+      return entry?.value ?? null;
+    },
+
+    async update(name, key, fn) {
+      const entry = read(name, key);
+      const previous = entry?.value ?? null;
+      const next = fn(previous);
+      if (next === null || next === undefined) ns(name).delete(key);
+      else ns(name).set(key, { value: next, expiresAt: entry?.expiresAt ?? null });
+      return previous;
+    },
+
+    async prune() {
+      const now = Date.now();
+      for (const entries of namespaces.values()) {
+        for (const [k, v] of entries) if (!isLive(v, now)) entries.delete(k);
+      }
+    },
+  };
+}
+
+// ── File Backend ──
+
+function createFileStore(file) {
+  const lockFile = `${file}.lock`;
+  let queue = Promise.resolve(); // serialize operations within this process
+  let cache = null; // { version, data } — the file as last read or written here
+
+  async function acquireLock() {
+    const started = Date.now();
+    for (;;) {
+      try {
+        const handle = await open(lockFile, 'wx');
+        await handle.close();
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        // Break locks left behind by a crashed replica
+        try {
+          const s = await stat(lockFile);
+          if (Date.now() - s.mtimeMs > LOCK_STALE_MS) await unlink(lockFile).catch(() => {});
+        } catch {}
+        if (Date.now() - started > LOCK_TIMEOUT_MS) throw new Error(`OAuth store lock timeout: ${lockFile}`);
+        await new Promise(r => setTimeout(r, LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  // Saves from any process rename a new file into place, which changes its
+  // inode, mtime or size
+  async function versionOf() {
+    try {
+      const s = await stat(file);
+      return `${s.ino}:${s.mtimeMs}:${s.size}`;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`OAuth store unreadable (${file}): ${err.message}`);
+    }
+  }
+
+  async function load() {
+    const version = await versionOf();
+    if (cache && cache.version === version) return cache.data;
+    let data = {};
+    if (version !== null) {
+      try {
+        data = JSON.parse(await readFile(file, 'utf-8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw new Error(`OAuth store unreadable (${file}): ${err.message}`);
+      }
+    }
+    // Stamp with the version seen before reading: if the file was replaced in
+    // between, the next load reads it again
+    cache = { version, data };
+    return data;
+  }
+
+  async function save(data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    // Holds refresh tokens — owner-only permissions
+    await writeFile(tmp, JSON.stringify(data), { mode: 0o600 });
+    await rename(tmp, file);
+    cache = { version: await versionOf(), data };
+  }
+
+  /** Run fn(data) under the cross-process lock; persist if it returns dirty=true. */
+  function transact(fn) {
+    const run = queue.then(async () => {
+      await acquireLock();
+      try {
+        const data = await load();
+        const { result, dirty } = fn(data);
+        if (dirty) await save(data);
+        return result;
+      } catch (err) {
+        cache = null; // fn may have changed data that never reached the file
+        throw err;
+      } finally {
+        await unlink(lockFile).catch(() => {});
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  const read = (data, name, key) => {
+    const entry = data[name]?.[key];
+    return isLive(entry) ? entry : null;
+  };
+
+  return {
+    type: 'file',
+
+    // Writes replace the file atomically, so reads need no lock; they wait
+    // only for this process's own pending writes
+    async get(name, key) {
+      const run = queue.then(async () => read(await load(), name, key)?.value ?? null);
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    async set(name, key, value, ttlSeconds) {
+      return transact(data => {
+        data[name] = data[name] || {};
+        data[name][key] = { value, expiresAt: expiresAtFor(ttlSeconds) };
+        return { result: undefined, dirty: true };
+      });
+    },
+
+    async delete(name, key) {
+      return transact(data => {
+        const existed = Boolean(data[name]?.[key]);
+        if (existed) delete data[name][key];
+        return { result: undefined, dirty: existed };
+      });
+    },
+
+    async take(name, key) {
+      return transact(data => {
+        const entry = read(data, name, key);
+        const existed = Boolean(data[name]?.[key]);
+        if (existed) delete data[name][key];
+        return { result: entry?.value ?? null, dirty: existed };
+      });
+    },
+
+    async update(name, key, fn) {
+      return transact(data => {
+        const entry = read(data, name, key);
+        const previous = entry?.value ?? null;
+        const next = fn(previous);
+        data[name] = data[name] || {};
+        if (next === null || next === undefined) delete data[name][key];
+        else data[name][key] = { value: next, expiresAt: entry?.expiresAt ?? null };
+        return { result: previous, dirty: true };
+      });
+    },
+
+    async prune() {
+      return transact(data => {
+        const now = Date.now();
+        let dirty = false;
+        for (const entries of Object.values(data)) {
+          for (const [k, v] of Object.entries(entries)) {
+            if (!isLive(v, now)) { delete entries[k]; dirty = true; }
+          }
+        }
+        return { result: undefined, dirty };
+      });
+    },
+  };
+}
+
+/**
+ * Create a store: { type: 'memory' } or { type: 'file', file }.
+ */
+function createStore(config = {}) {
+  const type = config.type || 'memory';
+  if (type === 'memory') return createMemoryStore();
+  if (type === 'file') {
+    if (!config.file) throw new Error('OAuth store "file" requires a file path (OAUTH_STORE_FILE)');
+    return createFileStore(config.file);
+  }
+  throw new Error(`Unknown OAuth store "${type}". Use one of: memory, file`);
+}
+
+function storeFromEnv(env = process.env) {
+  return createStore({
+    type: env.OAUTH_STORE || 'memory',
+    file: env.OAUTH_STORE_FILE || '.oauth-store.json',
+  });
+}
+
+// ── Exports ──
+
+export {
+  createStore,
+  storeFromEnv,
+};
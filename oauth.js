@@ -7,19 +7,23 @@
  * for an access token scoped to their org.
  * 
  * Flow:
+ *   0. Client → POST /oauth/register (once, RFC 7591 dynamic registration)
  *   1. Client → GET /oauth/authorize (with PKCE challenge)
  *   2. Redirect → Salesforce OAuth consent screen
  *   3. Salesforce → callback with auth code
  *   4. Client → POST /oauth/token (with PKCE verifier)
  *   5. We exchange SF auth code → SF access token
- *   6. Return our own JWT wrapping the SF session
+ *   6. Return our own encrypted JWT (JWE) wrapping the SF session
  * 
  * @version 1.0.0
  * @since MCP v2.1
  */
 
-import { randomBytes, createHash } from 'node:crypto';
-import { SignJWT, jwtVerify } from 'jose';
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+import { EncryptJWT, jwtDecrypt } from 'jose';
+import { storeFromEnv } from './oauth-store.js';
+import { ALL_SCOPES } from './policy.js';
+import { registry } from './metrics.js';
 
 // ── Config ──
 
@@ -33,33 +37,52 @@ const OAUTH_CONFIG = {
   // Y-11 / M-3: Warn if JWT secret not set — random secret invalidates all tokens on restart
   jwtSecret: (() => {
     const s = process.env.OAUTH_JWT_SECRET;
-    if (!s) console.warn('WARNING: OAUTH_JWT_SECRET not set — using random secret. All active tokens will be invalidated on restart. Set OAUTH_JWT_SECRET in production.');
+    if (!s && !process.env.OAUTH_TOKEN_KEYS) console.warn('WARNING: OAUTH_JWT_SECRET not set — using random secret. All active tokens will be invalidated on restart. Set OAUTH_JWT_SECRET in production.');
     return s || randomBytes(32).toString('hex');
   })(),
+  // Access token encryption keys, "kid:base64url-32-bytes,..." — the first key
+  // encrypts, all of them decrypt (rotate by prepending a new key). Defaults to
+  // one key derived from jwtSecret.
+  tokenKeys: process.env.OAUTH_TOKEN_KEYS || '',
+  // Shared secret the API gateway presents to /oauth/introspect (endpoint disabled when unset)
+  introspectionSecret: process.env.OAUTH_INTROSPECTION_SECRET || '',
   tokenExpirySeconds: 3600, // 1 hour
   refreshExpirySeconds: 86400 * 30, // 30 days
   
-  // Salesforce OAuth endpoints
-  sfAuthorizeUrl: 'https://login.salesforce.com/services/oauth2/authorize',
-  sfTokenUrl: 'https://login.salesforce.com/services/oauth2/token',
+  // Salesforce login host; /oauth/authorize can pick a sandbox or My Domain
+  // host instead with login_url (see salesforceLoginUrl)
+  sfLoginUrl: 'https://login.salesforce.com',
   
   // Callback
   callbackPath: '/oauth/callback',
 };
 
-// ── In-memory stores (replace with Redis/DB in production) ──
+// ── Storage (OAUTH_STORE=memory|file, see oauth-store.js) ──
+
+// Namespaces:
+//   authRequests  internalState → { clientId, codeChallenge, redirectUri, clientState, scope, sfLoginUrl }
+//   authCodes     code → { clientId, redirectUri, sfAccessToken, sfRefreshToken, sfInstanceUrl, sfLoginUrl, orgId, userId, scope, codeChallenge }
+//   refreshTokens refreshToken → { family, clientId, sfRefreshToken, sfInstanceUrl, sfLoginUrl, orgId, userId, scope, used, claimedAt }
+//   tokenFamilies family → { orgId, revoked }
+//   clients       clientId → RFC 7591 client metadata (no expiry)
+//   revokedTokens jti → { revokedAt } (access token denylist, kept until the token expires)
+const store = storeFromEnv();
+const AUTH_TTL_SECONDS = 600; // authorize requests and codes: 10 minutes
+const SF_REFRESH_TIMEOUT_MS = 15000;
+// A refresh token is claimed while its refresh runs; a claim this old is
+// treated as abandoned (crashed replica) and the token can be used again
+const REFRESH_CLAIM_MS = 60000;
+
+// Expired entries are also skipped on read; this just reclaims space
+setInterval(() => {
+  store.prune().catch(err => console.error('OAuth store prune failed:', err.message));
+}, 600000).unref();
 
-const authRequests = new Map();  // code_challenge → { state, redirectUri, createdAt }
-const authCodes = new Map();     // code → { sfAccessToken, sfInstanceUrl, orgId, codeChallenge, createdAt }
-const refreshTokens = new Map(); // refreshToken → { sfRefreshToken, sfInstanceUrl, orgId, createdAt }
+// ── Metrics ──
 
-// Cleanup stale entries every 10 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [k, v] of authRequests) if (now - v.createdAt > 600000) authRequests.delete(k);
-  for (const [k, v] of authCodes) if (now - v.createdAt > 600000) authCodes.delete(k);
-  for (const [k, v] of refreshTokens) if (now - v.createdAt > OAUTH_CONFIG.refreshExpirySeconds * 1000) refreshTokens.delete(k);
-}, 600000);
+const tokensIssued = registry.counter('stratoforce_oauth_tokens_issued_total', 'Access tokens issued by /oauth/token', ['grant_type']);
+const tokenFailures = registry.counter('stratoforce_oauth_token_failures_total', 'Failed /oauth/token requests, by OAuth error code', ['grant_type', 'error']);
+const tokenRejections = registry.counter('stratoforce_oauth_token_rejections_total', 'Bearer tokens rejected on MCP routes', ['reason']);
 
 // ── Helpers ──
 
@@ -71,29 +94,214 @@ function generateCode() {
   return base64url(randomBytes(32));
 }
 
+/**
+ * Registered redirect URIs must be absolute, fragment-free, and either HTTPS,
+ * loopback HTTP (native apps), or a private-use scheme like cursor://.
+ */
+function isValidRedirectUri(uri) {
+  if (typeof uri !== 'string' || uri.length > 2000) return false;
+  let parsed;
+  try {
+    parsed = new URL(uri);
+  } catch {
+    return false;
+  }
+  if (parsed.hash) return false;
+  if (parsed.protocol === 'https:') return true;
+  if (parsed.protocol === 'http:') return ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  return !['javascript:', 'data:', 'file:', 'vbscript:'].includes(parsed.protocol);
+}
+
+/**
+ * The Salesforce login host a login_url names, as an origin, or null unless it
+ * is login.salesforce.com, test.salesforce.com or a My Domain (*.my.salesforce.com,
+ * sandboxes included). Anything else would make /oauth/authorize an open redirect.
+ */
+function salesforceLoginUrl(value) {
+  if (typeof value !== 'string' || value.length > 500) return null;
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' || parsed.port || parsed.username || parsed.password) return null;
+  if (parsed.pathname !== '/' || parsed.search || parsed.hash) return null;
+  const host = parsed.hostname;
+  const allowed = host === 'login.salesforce.com' || host === 'test.salesforce.com'
+    || /^[a-z0-9-]+(\.[a-z0-9-]+)*\.my\.salesforce\.com$/.test(host);
+  return allowed ? parsed.origin : null;
+}
+
+/** Token endpoint on the login host an authorization started at. */
+function sfTokenUrl(sfLoginUrl) {
+  return `${sfLoginUrl || OAUTH_CONFIG.sfLoginUrl}/services/oauth2/token`;
+}
+
 function verifyCodeChallenge(verifier, challenge) {
   const computed = base64url(createHash('sha256').update(verifier).digest());
   return computed === challenge;
 }
 
+/**
+ * Scopes to grant: the requested ones (default: all) that the client registered for.
+ * Returns null if none remain.
+ */
+function grantScopes(requested, client) {
+  const allowed = (client.scope || ALL_SCOPES.join(' ')).split(' ');
+  const wanted = typeof requested === 'string' && requested.trim() ? requested.trim().split(/\s+/) : allowed;
+  const granted = ALL_SCOPES.filter(s => wanted.includes(s) && allowed.includes(s));
+  return granted.length ? granted.join(' ') : null;
+}
+
+async function issueRefreshToken(family, { clientId, sfRefreshToken, sfInstanceUrl, sfLoginUrl, orgId, userId, scope }) {
+  const token = generateCode();
+  await store.set('refreshTokens', token, {
+    family,
+    clientId,
+    sfRefreshToken,
+    sfInstanceUrl,
+    sfLoginUrl,
+    orgId,
+    userId,
+    scope,
+    used: false,
+  }, OAUTH_CONFIG.refreshExpirySeconds);
+  return token;
+}
+
+/**
+ * Parse the access token key ring: Map(kid → 32-byte key), first entry active.
+ */
+function loadTokenKeys() {
+  const keys = new Map();
+  if (!OAUTH_CONFIG.tokenKeys) {
+    keys.set('default', createHash('sha256').update(OAUTH_CONFIG.jwtSecret).digest());
+    return keys;
+  }
+  for (const entry of OAUTH_CONFIG.tokenKeys.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [kid, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64url');
+    if (!kid || key.length !== 32) {
+      throw new Error(`Invalid OAUTH_TOKEN_KEYS entry "${kid || entry}": expected kid:<base64url 32-byte key>`);
+    }
+    keys.set(kid, key);
+  }
+  return keys;
+}
+
+const tokenKeys = loadTokenKeys();
+const [activeKid, activeKey] = tokenKeys.entries().next().value;
+
+/**
+ * Access tokens are encrypted JWTs (JWE, dir + A256GCM), not signed ones:
+ * they carry the caller's Salesforce session, which must not be readable by
+ * clients, proxies or logs that see the bearer token. AES-GCM also
+ * authenticates the token, so no separate signature is needed.
+ */
 async function createJWT(payload) {
-  const secret = new TextEncoder().encode(OAUTH_CONFIG.jwtSecret);
-  return new SignJWT(payload)
-    .setProtectedHeader({ alg: 'HS256' })
+  return new EncryptJWT(payload)
+    .setProtectedHeader({ alg: 'dir', enc: 'A256GCM', kid: activeKid })
+    .setJti(generateCode())
     .setIssuedAt()
     .setIssuer(OAUTH_CONFIG.issuer)
     .setExpirationTime(`${OAUTH_CONFIG.tokenExpirySeconds}s`)
-    .sign(secret);
+    .encrypt(activeKey);
 }
 
 async function verifyJWT(token) {
-  const secret = new TextEncoder().encode(OAUTH_CONFIG.jwtSecret);
-  const { payload } = await jwtVerify(token, secret, { issuer: OAUTH_CONFIG.issuer });
+  const { payload } = await jwtDecrypt(token, (header) => {
+    const key = tokenKeys.get(header.kid);
+    if (!key) throw new Error(`Unknown token key id: ${header.kid}`);
+    return key;
+  }, {
+    issuer: OAUTH_CONFIG.issuer,
+    keyManagementAlgorithms: ['dir'],
+    contentEncryptionAlgorithms: ['A256GCM'],
+  });
   return payload;
 }
 
+/**
+ * A signed, unexpired access token is still dead if its jti was revoked or its
+ * login's refresh token family was revoked (logout, replay detection).
+ */
+async function isAccessTokenRevoked(payload) {
+  if (payload.jti && await store.get('revokedTokens', payload.jti)) return true;
+  if (payload.fam) {
+    const family = await store.get('tokenFamilies', payload.fam);
+    if (!family || family.revoked) return true;
+  }
+  return false;
+}
+
+async function revokeAccessToken(payload) {
+  const ttlSeconds = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+  await store.set('revokedTokens', payload.jti, { revokedAt: Date.now() }, ttlSeconds);
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ab.length === bb.length && timingSafeEqual(ab, bb);
+}
+
 // ── Route Handlers ──
 
+/**
+ * POST /oauth/register
+ *
+ * RFC 7591 dynamic client registration. MCP clients register their redirect
+ * URIs once; /oauth/authorize and /oauth/token then only accept exact matches.
+ * Only public clients (token_endpoint_auth_method=none, PKCE) are supported.
+ */
+async function handleRegister(req, res) {
+  const {
+    redirect_uris,
+    client_name,
+    client_uri,
+    grant_types = ['authorization_code', 'refresh_token'],
+    response_types = ['code'],
+    token_endpoint_auth_method = 'none',
+    scope,
+  } = req.body || {};
+
+  if (!Array.isArray(redirect_uris) || !redirect_uris.length || redirect_uris.length > 10) {
+    return res.status(400).json({ error: 'invalid_redirect_uri', error_description: 'redirect_uris must list 1-10 URIs' });
+  }
+  const badUri = redirect_uris.find(uri => !isValidRedirectUri(uri));
+  if (badUri !== undefined) {
+    return res.status(400).json({ error: 'invalid_redirect_uri', error_description: `Redirect URI not allowed: ${String(badUri).slice(0, 200)}` });
+  }
+  if (scope !== undefined && (typeof scope !== 'string' || scope.split(' ').some(s => !ALL_SCOPES.includes(s)))) {
+    return res.status(400).json({ error: 'invalid_client_metadata', error_description: `Supported scopes: ${ALL_SCOPES.join(', ')}` });
+  }
+  if (token_endpoint_auth_method !== 'none') {
+    return res.status(400).json({ error: 'invalid_client_metadata', error_description: 'Only token_endpoint_auth_method "none" (public client with PKCE) is supported' });
+  }
+  if (!Array.isArray(grant_types) || grant_types.some(g => !['authorization_code', 'refresh_token'].includes(g))) {
+    return res.status(400).json({ error: 'invalid_client_metadata', error_description: 'Supported grant_types: authorization_code, refresh_token' });
+  }
+  if (!Array.isArray(response_types) || response_types.some(r => r !== 'code')) {
+    return res.status(400).json({ error: 'invalid_client_metadata', error_description: 'Supported response_types: code' });
+  }
+
+  const client = {
+    client_id: generateCode(),
+    client_id_issued_at: Math.floor(Date.now() / 1000),
+    redirect_uris,
+    client_name: typeof client_name === 'string' ? client_name.slice(0, 200) : undefined,
+    client_uri: typeof client_uri === 'string' ? client_uri.slice(0, 2000) : undefined,
+    grant_types,
+    response_types,
+    token_endpoint_auth_method,
+    scope: scope || ALL_SCOPES.join(' '),
+  };
+  await store.set('clients', client.client_id, client);
+
+  return res.status(201).json(client);
+}
+
 /**
  * GET /oauth/authorize
  * 
@@ -102,46 +310,66 @@ async function verifyJWT(token) {
  * 
  * Query params:
  *   response_type=code
- *   client_id=stratoforce-mcp
- *   redirect_uri=<client callback>
+ *   client_id=<from /oauth/register>
+ *   redirect_uri=<client callback, exactly as registered>
  *   code_challenge=<S256 hash>
  *   code_challenge_method=S256
  *   state=<opaque>
- *   login_url=<optional SF login URL for sandbox/custom domain>
+ *   scope=<optional, space-separated subset of mcp:read mcp:write>
+ *   login_url=<optional SF login host: test.salesforce.com or a My Domain>
  */
-function handleAuthorize(req, res) {
+async function handleAuthorize(req, res) {
   const {
     response_type,
+    client_id,
     redirect_uri,
     code_challenge,
     code_challenge_method,
     state,
+    scope,
     login_url,
   } = req.query;
 
-  // Validate
+  // Validate the client and redirect first — errors are never redirected to an
+  // unverified URI (RFC 6749 §4.1.2.1)
+  const client = client_id ? await store.get('clients', client_id) : null;
+  if (!client) {
+    return res.status(400).json({ error: 'invalid_client', description: 'Unknown client_id — register via /oauth/register' });
+  }
+  if (!redirect_uri) {
+    return res.status(400).json({ error: 'invalid_request', description: 'redirect_uri required' });
+  }
+  if (!client.redirect_uris.includes(redirect_uri)) {
+    return res.status(400).json({ error: 'invalid_request', description: 'redirect_uri does not match a registered URI' });
+  }
   if (response_type !== 'code') {
     return res.status(400).json({ error: 'unsupported_response_type' });
   }
   if (!code_challenge || code_challenge_method !== 'S256') {
     return res.status(400).json({ error: 'invalid_request', description: 'PKCE S256 required' });
   }
-  if (!redirect_uri) {
-    return res.status(400).json({ error: 'invalid_request', description: 'redirect_uri required' });
+  const grantedScope = grantScopes(scope, client);
+  if (!grantedScope) {
+    return res.status(400).json({ error: 'invalid_scope', description: `Request one or more of the client's registered scopes: ${client.scope}` });
+  }
+  const sfLoginUrl = login_url ? salesforceLoginUrl(login_url) : OAUTH_CONFIG.sfLoginUrl;
+  if (!sfLoginUrl) {
+    return res.status(400).json({ error: 'invalid_request', description: 'login_url must be https://login.salesforce.com, https://test.salesforce.com or a https://*.my.salesforce.com domain' });
   }
 
   // Store the auth request
   const internalState = base64url(randomBytes(16));
-  authRequests.set(internalState, {
+  await store.set('authRequests', internalState, {
+    clientId: client_id,
     codeChallenge: code_challenge,
     redirectUri: redirect_uri,
     clientState: state,
-    createdAt: Date.now(),
-  });
+    scope: grantedScope,
+    sfLoginUrl,
+  }, AUTH_TTL_SECONDS);
 
   // Build Salesforce authorize URL
-  const sfLoginUrl = login_url || OAUTH_CONFIG.sfAuthorizeUrl;
-  const sfAuthorize = new URL(sfLoginUrl);
+  const sfAuthorize = new URL(`${sfLoginUrl}/services/oauth2/authorize`);
   sfAuthorize.searchParams.set('response_type', 'code');
   sfAuthorize.searchParams.set('client_id', OAUTH_CONFIG.clientId);
   sfAuthorize.searchParams.set('redirect_uri', `${OAUTH_CONFIG.issuer}${OAUTH_CONFIG.callbackPath}`);
@@ -165,15 +393,14 @@ async function handleCallback(req, res) {
     return res.status(400).json({ error, description: error_description });
   }
 
-  const authReq = authRequests.get(state);
+  const authReq = await store.take('authRequests', state);
   if (!authReq) {
     return res.status(400).json({ error: 'invalid_state' });
   }
-  authRequests.delete(state);
 
   try {
     // Exchange SF auth code for SF tokens
-    const tokenRes = await fetch(OAUTH_CONFIG.sfTokenUrl, {
+    const tokenRes = await fetch(sfTokenUrl(authReq.sfLoginUrl), {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: new URLSearchParams({
@@ -194,14 +421,19 @@ async function handleCallback(req, res) {
 
     // Generate our authorization code
     const ourCode = generateCode();
-    authCodes.set(ourCode, {
+    await store.set('authCodes', ourCode, {
+      clientId: authReq.clientId,
+      redirectUri: authReq.redirectUri,
       sfAccessToken: sfTokens.access_token,
       sfRefreshToken: sfTokens.refresh_token,
       sfInstanceUrl: sfTokens.instance_url,
+      sfLoginUrl: authReq.sfLoginUrl,
+      // Identity URL: https://login.salesforce.com/id/<orgId>/<userId>
       orgId: sfTokens.id?.split('/')[4] || 'unknown',
+      userId: sfTokens.id?.split('/')[5] || null,
+      scope: authReq.scope,
       codeChallenge: authReq.codeChallenge,
-      createdAt: Date.now(),
-    });
+    }, AUTH_TTL_SECONDS);
 
     // Redirect client with our code
     const clientRedirect = new URL(authReq.redirectUri);
@@ -215,6 +447,18 @@ async function handleCallback(req, res) {
   }
 }
 
+/** Answer /oauth/token with an error, counted by grant and error code. */
+function tokenError(res, grantType, status, error, description) {
+  tokenFailures.inc({ grant_type: grantType, error });
+  return res.status(status).json(description ? { error, description } : { error });
+}
+
+/** Answer /oauth/token with issued tokens, counted by grant. */
+function tokenIssued(res, grantType, body) {
+  tokensIssued.inc({ grant_type: grantType });
+  return res.json(body);
+}
+
 /**
  * POST /oauth/token
  * 
@@ -224,63 +468,118 @@ async function handleCallback(req, res) {
  * Also handles refresh_token grant.
  */
 async function handleToken(req, res) {
-  const { grant_type, code, code_verifier, refresh_token } = req.body;
+  const { grant_type, code, code_verifier, refresh_token, client_id, redirect_uri } = req.body;
 
   if (grant_type === 'authorization_code') {
-    if (!code || !code_verifier) {
-      return res.status(400).json({ error: 'invalid_request' });
+    if (!code || !code_verifier || !client_id || !redirect_uri) {
+      return tokenError(res, 'authorization_code', 400, 'invalid_request', 'code, code_verifier, client_id and redirect_uri required');
     }
 
-    const authCode = authCodes.get(code);
+    // Single use: take() removes the code atomically
+    const authCode = await store.take('authCodes', code);
     if (!authCode) {
-      return res.status(400).json({ error: 'invalid_grant', description: 'Code expired or invalid' });
+      return tokenError(res, 'authorization_code', 400, 'invalid_grant', 'Code expired or invalid');
+    }
+
+    // The code is bound to the client and redirect_uri it was issued for (RFC 6749 §4.1.3)
+    if (authCode.clientId !== client_id) {
+      return tokenError(res, 'authorization_code', 400, 'invalid_grant', 'Code was issued to another client');
+    }
+    if (authCode.redirectUri !== redirect_uri) {
+      return tokenError(res, 'authorization_code', 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
     }
-    authCodes.delete(code);
 
     // Verify PKCE
     if (!verifyCodeChallenge(code_verifier, authCode.codeChallenge)) {
-      return res.status(400).json({ error: 'invalid_grant', description: 'PKCE verification failed' });
+      return tokenError(res, 'authorization_code', 400, 'invalid_grant', 'PKCE verification failed');
     }
 
+    // Refresh token rotation family — the family's TTL caps the login's absolute
+    // lifetime (rotated tokens can't extend it); revoking it kills every token
+    const family = generateCode();
+    await store.set('tokenFamilies', family, { orgId: authCode.orgId, revoked: false }, OAUTH_CONFIG.refreshExpirySeconds);
+
     // Issue our JWT
     const accessToken = await createJWT({
       sub: authCode.orgId,
+      uid: authCode.userId,
       instance_url: authCode.sfInstanceUrl,
       sf_token: authCode.sfAccessToken,
-      scope: 'mcp:read mcp:write',
+      scope: authCode.scope,
+      client_id: authCode.clientId,
+      fam: family,
     });
 
     // Issue refresh token
-    const newRefreshToken = generateCode();
-    refreshTokens.set(newRefreshToken, {
+    const newRefreshToken = await issueRefreshToken(family, {
+      clientId: authCode.clientId,
       sfRefreshToken: authCode.sfRefreshToken,
       sfInstanceUrl: authCode.sfInstanceUrl,
+      sfLoginUrl: authCode.sfLoginUrl,
       orgId: authCode.orgId,
-      createdAt: Date.now(),
+      userId: authCode.userId,
+      scope: authCode.scope,
     });
 
-    return res.json({
+    return tokenIssued(res, 'authorization_code', {
       access_token: accessToken,
       token_type: 'Bearer',
       expires_in: OAUTH_CONFIG.tokenExpirySeconds,
       refresh_token: newRefreshToken,
-      scope: 'mcp:read mcp:write',
+      scope: authCode.scope,
     });
   }
 
   if (grant_type === 'refresh_token') {
-    if (!refresh_token) {
-      return res.status(400).json({ error: 'invalid_request' });
+    if (!refresh_token || !client_id) {
+      return tokenError(res, 'refresh_token', 400, 'invalid_request', 'refresh_token and client_id required');
     }
 
-    const stored = refreshTokens.get(refresh_token);
+    // Check the client before consuming, so a wrong client_id doesn't burn the token
+    const issued = await store.get('refreshTokens', refresh_token);
+    if (!issued) {
+      return tokenError(res, 'refresh_token', 400, 'invalid_grant', 'Refresh token expired or invalid');
+    }
+    if (issued.clientId !== client_id) {
+      return tokenError(res, 'refresh_token', 400, 'invalid_grant', 'Refresh token was issued to another client');
+    }
+
+    // Rotation: each refresh token is good for one use. Claim it atomically, so
+    // two concurrent refreshes with the same token can't both go ahead, but
+    // only mark it used once the new pair is issued: a refresh that fails on
+    // our side or Salesforce's leaves it usable for a retry.
+    const now = Date.now();
+    const stored = await store.update('refreshTokens', refresh_token, prev => (
+      prev && (prev.used || prev.claimedAt > now - REFRESH_CLAIM_MS ? prev : { ...prev, claimedAt: now })
+    ));
     if (!stored) {
-      return res.status(400).json({ error: 'invalid_grant', description: 'Refresh token expired or invalid' });
+      return tokenError(res, 'refresh_token', 400, 'invalid_grant', 'Refresh token expired or invalid');
+    }
+    const release = () => store.update('refreshTokens', refresh_token, prev => prev && { ...prev, claimedAt: null });
+
+    const familyState = await store.get('tokenFamilies', stored.family);
+    if (!familyState || familyState.revoked) {
+      return tokenError(res, 'refresh_token', 400, 'invalid_grant', 'Refresh token revoked');
     }
 
-    // Refresh SF token
+    // Replay of an already-rotated token means it leaked — revoke the whole family
+    if (stored.used) {
+      await store.update('tokenFamilies', stored.family, prev => prev && { ...prev, revoked: true });
+      console.warn(`OAuth refresh token replay detected for org ${stored.orgId} — token family revoked`);
+      return tokenError(res, 'refresh_token', 400, 'invalid_grant', 'Refresh token already used');
+    }
+    if (stored.claimedAt > now - REFRESH_CLAIM_MS) {
+      return tokenError(res, 'refresh_token', 400, 'invalid_grant', 'Refresh token is already being redeemed');
+    }
+
+    // Tokens issued before scopes were recorded carry every scope
+    const scope = stored.scope || ALL_SCOPES.join(' ');
+
+    // Refresh SF token. Only Salesforce's invalid_grant (its refresh token was
+    // revoked or expired) ends the login; outages and timeouts are retryable.
+    let sfTokens;
     try {
-      const sfRes = await fetch(OAUTH_CONFIG.sfTokenUrl, {
+      const sfRes = await fetch(sfTokenUrl(stored.sfLoginUrl), {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
         body: new URLSearchParams({
@@ -289,54 +588,198 @@ async function handleToken(req, res) {
           client_id: OAUTH_CONFIG.clientId,
           client_secret: OAUTH_CONFIG.clientSecret,
         }),
+        signal: AbortSignal.timeout(SF_REFRESH_TIMEOUT_MS),
       });
+      if (!sfRes.ok) {
+        const sfError = await sfRes.json().catch(() => ({}));
+        if (sfRes.status === 400 && sfError.error === 'invalid_grant') {
+          await store.update('refreshTokens', refresh_token, prev => prev && { ...prev, used: true });
+          await store.update('tokenFamilies', stored.family, prev => prev && { ...prev, revoked: true });
+          return tokenError(res, 'refresh_token', 400, 'invalid_grant', 'Salesforce session expired or revoked — authorize again');
+        }
+        throw new Error(`Salesforce token endpoint answered ${sfRes.status} ${sfError.error || ''}`.trim());
+      }
+      sfTokens = await sfRes.json();
+    } catch (err) {
+      await release();
+      console.warn(`OAuth refresh for org ${stored.orgId} failed, token left usable: ${err.message}`);
+      return tokenError(res, 'refresh_token', 503, 'temporarily_unavailable', 'Salesforce refresh failed — retry with the same refresh token');
+    }
 
-      if (!sfRes.ok) throw new Error('SF refresh failed');
-      const sfTokens = await sfRes.json();
+    try {
+      const sfInstanceUrl = sfTokens.instance_url || stored.sfInstanceUrl;
 
       const accessToken = await createJWT({
         sub: stored.orgId,
-        instance_url: sfTokens.instance_url || stored.sfInstanceUrl,
+        uid: stored.userId,
+        instance_url: sfInstanceUrl,
         sf_token: sfTokens.access_token,
-        scope: 'mcp:read mcp:write',
+        scope,
+        client_id: stored.clientId,
+        fam: stored.family,
       });
 
-      return res.json({
+      const newRefreshToken = await issueRefreshToken(stored.family, {
+        clientId: stored.clientId,
+        sfRefreshToken: sfTokens.refresh_token || stored.sfRefreshToken,
+        sfInstanceUrl,
+        sfLoginUrl: stored.sfLoginUrl,
+        orgId: stored.orgId,
+        userId: stored.userId,
+        scope,
+      });
+      await store.update('refreshTokens', refresh_token, prev => prev && { ...prev, used: true, claimedAt: null });
+
+      return tokenIssued(res, 'refresh_token', {
         access_token: accessToken,
         token_type: 'Bearer',
         expires_in: OAUTH_CONFIG.tokenExpirySeconds,
-        scope: 'mcp:read mcp:write',
+        refresh_token: newRefreshToken,
+        scope,
       });
     } catch (err) {
-      refreshTokens.delete(refresh_token);
-      return res.status(400).json({ error: 'invalid_grant', description: 'SF refresh failed' });
+      await release().catch(() => {});
+      console.error(`OAuth refresh for org ${stored.orgId} could not issue tokens: ${err.message}`);
+      return tokenError(res, 'refresh_token', 500, 'server_error', 'Could not issue tokens — retry with the same refresh token');
+    }
+  }
+
+  return tokenError(res, 'other', 400, 'unsupported_grant_type');
+}
+
+/**
+ * POST /oauth/revoke
+ *
+ * RFC 7009 token revocation for access and refresh tokens. Public clients
+ * identify themselves with client_id; a token can only be revoked by the
+ * client it was issued to. Revoking a refresh token ends the whole login
+ * (every rotated refresh token and access token from it).
+ * Always answers 200 for unknown tokens, per the RFC.
+ */
+async function handleRevoke(req, res) {
+  const { token, token_type_hint, client_id } = req.body || {};
+  if (!token || !client_id) {
+    return res.status(400).json({ error: 'invalid_request', description: 'token and client_id required' });
+  }
+
+  const revokeRefresh = async () => {
+    const stored = await store.get('refreshTokens', token);
+    if (!stored) return false;
+    if (stored.clientId !== client_id) return true; // not theirs — silently ignore
+    await store.update('tokenFamilies', stored.family, prev => prev && { ...prev, revoked: true });
+    return true;
+  };
+  const revokeAccess = async () => {
+    let payload;
+    try {
+      payload = await verifyJWT(token);
+    } catch {
+      return false; // invalid or already expired — nothing to revoke
     }
+    if (payload.client_id && payload.client_id !== client_id) return true;
+    if (payload.jti) await revokeAccessToken(payload);
+    return true;
+  };
+
+  // The hint only decides which lookup runs first
+  if (token_type_hint === 'refresh_token') {
+    (await revokeRefresh()) || (await revokeAccess());
+  } else {
+    (await revokeAccess()) || (await revokeRefresh());
+  }
+
+  return res.status(200).json({});
+}
+
+/**
+ * POST /oauth/introspect
+ *
+ * RFC 7662 token introspection for API gateways. The caller authenticates
+ * with `Authorization: Bearer <OAUTH_INTROSPECTION_SECRET>`. The response
+ * never includes the Salesforce session.
+ */
+async function handleIntrospect(req, res) {
+  const auth = req.headers.authorization || '';
+  if (!OAUTH_CONFIG.introspectionSecret || !auth.startsWith('Bearer ')
+      || !safeEqual(auth.slice(7), OAUTH_CONFIG.introspectionSecret)) {
+    return res.status(401).json({ error: 'invalid_client', description: 'Introspection credentials required' });
   }
 
-  return res.status(400).json({ error: 'unsupported_grant_type' });
+  const { token, token_type_hint } = req.body || {};
+  if (!token) {
+    return res.status(400).json({ error: 'invalid_request', description: 'token required' });
+  }
+
+  const introspectAccess = async () => {
+    let payload;
+    try {
+      payload = await verifyJWT(token);
+    } catch {
+      return null;
+    }
+    if (await isAccessTokenRevoked(payload)) return null;
+    return {
+      active: true,
+      token_type: 'access_token',
+      scope: payload.scope,
+      client_id: payload.client_id,
+      sub: payload.sub,
+      iss: payload.iss,
+      iat: payload.iat,
+      exp: payload.exp,
+      jti: payload.jti,
+    };
+  };
+  const introspectRefresh = async () => {
+    const stored = await store.get('refreshTokens', token);
+    if (!stored || stored.used) return null;
+    const family = await store.get('tokenFamilies', stored.family);
+    if (!family || family.revoked) return null;
+    return {
+      active: true,
+      token_type: 'refresh_token',
+      scope: stored.scope || ALL_SCOPES.join(' '),
+      client_id: stored.clientId,
+      sub: stored.orgId,
+      iss: OAUTH_CONFIG.issuer,
+    };
+  };
+
+  const result = token_type_hint === 'refresh_token'
+    ? (await introspectRefresh()) || (await introspectAccess())
+    : (await introspectAccess()) || (await introspectRefresh());
+
+  return res.json(result || { active: false });
 }
 
 /**
  * OAuth middleware for MCP routes.
- * Validates JWT Bearer token from Authorization header.
- * Attaches { orgId, instanceUrl, sfToken } to req.sfAuth.
+ * Decrypts and validates the JWE Bearer token from the Authorization header.
+ * Attaches { orgId, userId, instanceUrl, sfToken, scope } to req.sfAuth.
  */
 async function oauthMiddleware(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth?.startsWith('Bearer ')) {
+    tokenRejections.inc({ reason: 'missing' });
     return res.status(401).json({ error: 'unauthorized', description: 'Bearer token required' });
   }
 
   try {
     const payload = await verifyJWT(auth.slice(7));
+    if (await isAccessTokenRevoked(payload)) {
+      tokenRejections.inc({ reason: 'revoked' });
+      return res.status(401).json({ error: 'invalid_token', description: 'Token revoked' });
+    }
     req.sfAuth = {
       orgId: payload.sub,
+      userId: payload.uid || null,
       instanceUrl: payload.instance_url,
       sfToken: payload.sf_token,
       scope: payload.scope,
     };
     next();
   } catch (err) {
+    tokenRejections.inc({ reason: 'invalid' });
     return res.status(401).json({ error: 'invalid_token', description: 'Token expired or invalid' });
   }
 }
@@ -349,7 +792,7 @@ function handleResourceMetadata(req, res) {
   res.json({
     resource: OAUTH_CONFIG.issuer,
     authorization_servers: [OAUTH_CONFIG.issuer],
-    scopes_supported: ['mcp:read', 'mcp:write'],
+    scopes_supported: ALL_SCOPES,
     bearer_methods_supported: ['header'],
   });
 }
@@ -363,10 +806,14 @@ function handleServerMetadata(req, res) {
     issuer: OAUTH_CONFIG.issuer,
     authorization_endpoint: `${OAUTH_CONFIG.issuer}/oauth/authorize`,
     token_endpoint: `${OAUTH_CONFIG.issuer}/oauth/token`,
+    registration_endpoint: `${OAUTH_CONFIG.issuer}/oauth/register`,
+    revocation_endpoint: `${OAUTH_CONFIG.issuer}/oauth/revoke`,
+    revocation_endpoint_auth_methods_supported: ['none'],
+    introspection_endpoint: `${OAUTH_CONFIG.issuer}/oauth/introspect`,
     response_types_supported: ['code'],
     grant_types_supported: ['authorization_code', 'refresh_token'],
     code_challenge_methods_supported: ['S256'],
-    scopes_supported: ['mcp:read', 'mcp:write'],
+    scopes_supported: ALL_SCOPES,
     token_endpoint_auth_methods_supported: ['none'],
   });
 }
@@ -375,9 +822,12 @@ function handleServerMetadata(req, res) {
 
 export {
   OAUTH_CONFIG,
+  handleRegister,
   handleAuthorize,
   handleCallback,
   handleToken,
+  handleRevoke,
+  handleIntrospect,
   handleResourceMetadata,
   handleServerMetadata,
   oauthMiddleware,
@@ -0,0 +1,110 @@
+/**
+ * StratoForce AI — Org Registry
+ *
+ * Maps org aliases to Salesforce auth providers so one server can answer
+ * questions across production, sandboxes and demo orgs without restarting.
+ *
+ * Config file (SF_ORGS_FILE):
+ *   {
+ *     "default": "prod",
+ *     "orgs": {
+ *       "prod": { "label": "Production", "type": "jwt", "clientId": "...", "username": "...", "privateKeyFile": "..." },
+ *       "emea-sandbox": { "label": "EMEA Full Sandbox", "type": "cli", "alias": "emea-full" }
+ *     }
+ *   }
+ *
+ * Each entry takes the options of createAuthProvider() (salesforce-auth.js).
+ * For "cli" entries the sf CLI alias defaults to the registry key.
+ * Without a config file the registry holds a single org built from env vars.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { readFileSync } from 'node:fs';
+import { createAuthProvider, authProviderFromEnv } from './salesforce-auth.js';
+
+const ALIAS_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Load the registry from SF_ORGS_FILE, or fall back to the single env-configured org.
+ */
+function loadOrgRegistry(env = process.env) {
+  const entries = new Map(); // alias → { alias, label, type, instanceUrl, config, provider }
+  let defaultAlias;
+
+  if (env.SF_ORGS_FILE) {
+    let parsed;
+    try {
+      parsed = JSON.parse(readFileSync(env.SF_ORGS_FILE, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Cannot load org registry ${env.SF_ORGS_FILE}: ${err.message}`);
+    }
+    for (const [alias, config] of Object.entries(parsed.orgs || {})) {
+      if (!ALIAS_PATTERN.test(alias)) {
+        throw new Error(`Invalid org alias in ${env.SF_ORGS_FILE}: "${alias}". Only alphanumeric, hyphen, and underscore are allowed.`);
+      }
+      const type = config.type || 'cli';
+      entries.set(alias, {
+        alias,
+        label: config.label || alias,
+        type,
+        instanceUrl: config.instanceUrl || null,
+        config: type === 'cli' ? { alias, ...config, type } : { ...config, type },
+        provider: null,
+      });
+    }
+    if (!entries.size) throw new Error(`Org registry ${env.SF_ORGS_FILE} defines no orgs`);
+    defaultAlias = parsed.default || entries.keys().next().value;
+    if (!entries.has(defaultAlias)) {
+      throw new Error(`Default org "${defaultAlias}" is not defined in ${env.SF_ORGS_FILE}`);
+    }
+  } else {
+    defaultAlias = env.SF_TARGET_ORG || 'stratoforce-dev';
+    entries.set(defaultAlias, {
+      alias: defaultAlias,
+      label: defaultAlias,
+      type: env.SF_AUTH_PROVIDER || 'cli',
+      instanceUrl: null,
+      config: null, // built from env on first use
+      provider: null,
+    });
+  }
+
+  return {
+    defaultAlias,
+
+    has(alias) {
+      return entries.has(alias);
+    },
+
+    /** Auth provider for an alias (default org when omitted). Created lazily. */
+    getProvider(alias = defaultAlias) {
+      const entry = entries.get(alias);
+      if (!entry) {
+        throw new Error(`Unknown org "${alias}". Available orgs: ${[...entries.keys()].join(', ')}`);
+      }
+      if (!entry.provider) {
+        entry.provider = entry.config ? createAuthProvider(entry.config) : authProviderFromEnv(env);
+      }
+      return entry.provider;
+    },
+
+    /** Public view of the registry — never includes credentials. */
+    list() {
+      return [...entries.values()].map(e => ({
+        alias: e.alias,
+        label: e.label,
+        type: e.type,
+        instanceUrl: e.instanceUrl,
+        isDefault: e.alias === defaultAlias,
+      }));
+    },
+  };
+}
+
+// ── Exports ──
+
+export {
+  loadOrgRegistry,
+};
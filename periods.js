@@ -0,0 +1,218 @@
+/**
+ * StratoForce AI — Periods
+ *
+ * Date ranges for the period-based tools. A period is one of:
+ *
+ *   a SOQL date literal  THIS_FISCAL_QUARTER, LAST_N_FISCAL_QUARTERS:2, LAST_N_DAYS:90
+ *   a relative phrase    "last 90 days", "this fiscal quarter", "previous 2 quarters"
+ *   explicit dates       { from: '2026-01-01', to: '2026-03-31' } (either end may be left open)
+ *
+ * parsePeriod() validates one and turns phrases into literals;
+ * periodCondition() makes it a SOQL condition on a date field. Literals go to
+ * Salesforce unchanged, so fiscal literals follow the org's own fiscal year.
+ * describePeriod() works out the dates a period covers and names fiscal
+ * periods by the org's calendar (fiscalCalendar(), from its Period and
+ * FiscalYearSettings records, else FiscalYearStartMonth):
+ *
+ *   describePeriod(parsePeriod('this fiscal quarter'), calendar)
+ *   // → { label: 'This fiscal quarter, FY2027 Q1 (2026-02-01 – 2026-04-30)', from, to, fiscal: true }
+ *
+ * Dates are worked out in UTC, while Salesforce applies literals in the
+ * running user's time zone, so around midnight a label can be a day off. Week
+ * literals depend on the user's locale and are labelled without dates.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { soql, join, field, dateLiteral, isoDate } from './soql.js';
+
+const DAY_MS = 86400000;
+
+// Literals offered in tool input schemas; the ":n" forms (LAST_N_FISCAL_QUARTERS:2) are accepted too
+const PERIOD_LITERALS = [
+  'THIS_FISCAL_QUARTER', 'LAST_FISCAL_QUARTER', 'NEXT_FISCAL_QUARTER',
+  'THIS_FISCAL_YEAR', 'LAST_FISCAL_YEAR', 'NEXT_FISCAL_YEAR',
+  'THIS_QUARTER', 'LAST_QUARTER', 'NEXT_QUARTER',
+  'THIS_YEAR', 'LAST_YEAR', 'NEXT_YEAR',
+  'THIS_MONTH', 'LAST_MONTH', 'NEXT_MONTH',
+  'THIS_WEEK', 'LAST_WEEK', 'NEXT_WEEK',
+  'TODAY', 'YESTERDAY', 'TOMORROW',
+  'LAST_90_DAYS', 'NEXT_90_DAYS',
+];
+
+// ── Parsing ──
+
+const SINGLE_DAYS = { today: 'TODAY', yesterday: 'YESTERDAY', tomorrow: 'TOMORROW' };
+const DIRECTIONS = { this: 'THIS', current: 'THIS', last: 'LAST', past: 'LAST', previous: 'LAST', next: 'NEXT' };
+// "last 90 days", "this fiscal quarter", "next 2 fiscal years"
+const PHRASE = /^(this|current|last|past|previous|next) (?:(\d{1,4}) )?(fiscal )?(day|week|month|quarter|year)s?$/;
+
+/** "last 90 days" → LAST_N_DAYS:90; null if it isn't a phrase this understands. */
+function literalFromPhrase(text) {
+  const phrase = text.toLowerCase().replace(/\s+/g, ' ');
+  if (SINGLE_DAYS[phrase]) return SINGLE_DAYS[phrase];
+  const match = PHRASE.exec(phrase);
+  if (!match) return null;
+  const [, when, n, fiscal, unit] = match;
+  if (fiscal && unit !== 'quarter' && unit !== 'year') return null;
+  const direction = DIRECTIONS[when];
+  const name = `${fiscal ? 'FISCAL_' : ''}${unit.toUpperCase()}`;
+  if (n !== undefined) return direction === 'THIS' ? null : `${direction}_N_${name}S:${n}`;
+  if (unit === 'day') return { THIS: 'TODAY', LAST: 'YESTERDAY', NEXT: 'TOMORROW' }[direction];
+  return `${direction}_${name}`;
+}
+
+/**
+ * Validate a period argument.
+ * @param {string|{from?: string, to?: string}} value
+ * @returns {{ input, literal, from, to }} - literal for literals and phrases; from/to for explicit dates
+ */
+function parsePeriod(value) {
+  if (value && typeof value === 'object') {
+    const from = value.from ? isoDate(value.from).text : null;
+    const to = value.to ? isoDate(value.to).text : null;
+    if (!from && !to) throw new Error('A date range needs from, to or both (YYYY-MM-DD)');
+    if (from && to && from > to) throw new Error(`Date range starts after it ends: ${from} > ${to}`);
+    const input = [from && `from ${from}`, to && `to ${to}`].filter(Boolean).join(' ');
+    return { input, literal: null, from, to };
+  }
+  const text = String(value ?? '').trim();
+  try {
+    return { input: text, literal: dateLiteral(literalFromPhrase(text) ?? text).text, from: null, to: null };
+  } catch {
+    throw new Error(`Invalid period: "${text.slice(0, 60)}". Use a date literal such as THIS_FISCAL_QUARTER or LAST_N_DAYS:90, a phrase such as "last 90 days", or { from, to } dates`);
+  }
+}
+
+/** SOQL condition limiting a date field to the period: CloseDate = THIS_FISCAL_QUARTER */
+function periodCondition(period, fieldName) {
+  const name = field(fieldName);
+  if (period.literal) return soql`${name} = ${dateLiteral(period.literal)}`;
+  return join([
+    period.from && soql`${name} >= ${isoDate(period.from)}`,
+    period.to && soql`${name} <= ${isoDate(period.to)}`,
+  ], ' AND ');
+}
+
+// ── Fiscal Calendar ──
+
+/**
+ * An org's fiscal calendar.
+ * @param {object} [source]
+ * @param {number} [source.startMonth] - Organization.FiscalYearStartMonth (1–12)
+ * @param {boolean} [source.nameByStartYear] - Organization.UsesStartDateAsFiscalYearName
+ * @param {object[]} [source.periods] - Period rows of Type Year and Quarter, with FiscalYearSettings.Name;
+ *   custom fiscal years (4-4-5 and the like) can only be labelled from these
+ */
+function fiscalCalendar({ startMonth = 1, nameByStartYear = false, periods = [] } = {}) {
+  const defined = { FISCAL_YEAR: [], FISCAL_QUARTER: [] };
+  for (const p of periods) {
+    const unit = { Year: 'FISCAL_YEAR', Quarter: 'FISCAL_QUARTER' }[p.Type];
+    if (unit) defined[unit].push({ start: p.StartDate, end: p.EndDate, year: p.FiscalYearSettings?.Name ?? null, number: p.Number });
+  }
+  for (const list of Object.values(defined)) list.sort((a, b) => (a.start < b.start ? -1 : 1));
+  return { startMonth, nameByStartYear, defined };
+}
+
+// ── Resolving ──
+
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (iso, n) => toIsoDate(new Date(Date.parse(iso) + n * DAY_MS));
+const UNIT_MONTHS = { MONTH: 1, QUARTER: 3, YEAR: 12, FISCAL_QUARTER: 3, FISCAL_YEAR: 12 };
+
+/** The period of `unit` that is `offset` periods from the one containing `today`: { start, end, name }, or null. */
+function periodAt(unit, offset, today, calendar) {
+  const defined = calendar.defined[unit];
+  if (defined?.length) {
+    const i = defined.findIndex(p => p.start <= today && today <= p.end);
+    const p = i === -1 ? null : defined[i + offset];
+    if (!p) return null;
+    const year = p.year ? `FY${p.year}` : '';
+    return { start: p.start, end: p.end, name: unit === 'FISCAL_QUARTER' ? `${year} Q${p.number}`.trim() : year || null };
+  }
+
+  // Standard years: whole months counted from January, or from the fiscal start month
+  const months = UNIT_MONTHS[unit];
+  const anchor = unit.startsWith('FISCAL_') ? calendar.startMonth - 1 : 0;
+  const [y, m] = today.split('-').map(Number);
+  const first = (Math.floor((y * 12 + m - 1 - anchor) / months) + offset) * months + anchor; // months since year 0
+  const start = toIsoDate(new Date(Date.UTC(Math.floor(first / 12), first % 12, 1)));
+  const end = toIsoDate(new Date(Date.UTC(Math.floor((first + months) / 12), (first + months) % 12, 0)));
+  if (!unit.startsWith('FISCAL_')) return { start, end, name: null };
+  const startYear = Math.floor((first - anchor) / 12);
+  const year = `FY${calendar.startMonth === 1 || calendar.nameByStartYear ? startYear : startYear + 1}`;
+  return { start, end, name: unit === 'FISCAL_QUARTER' ? `${year} Q${((first - anchor) % 12) / 3 + 1}` : year };
+}
+
+/** Dates a literal covers: { from, to, names } (names for fiscal units), or null for week literals. */
+function resolveLiteral(literal, calendar, today) {
+  const [name, n] = literal.split(':');
+  const count = n === undefined ? null : Number(n);
+  const days = {
+    TODAY: [0, 0], YESTERDAY: [-1, -1], TOMORROW: [1, 1],
+    LAST_90_DAYS: [-90, 0], NEXT_90_DAYS: [1, 90],
+    LAST_N_DAYS: [-count, 0], NEXT_N_DAYS: [1, count], N_DAYS_AGO: [-count, -count],
+  }[name];
+  if (days) return { from: addDays(today, days[0]), to: addDays(today, days[1]), names: [] };
+
+  let match, unit, first, last;
+  if ((match = /^(THIS|LAST|NEXT)_((?:FISCAL_)?(?:MONTH|QUARTER|YEAR))$/.exec(name))) {
+    unit = match[2];
+    first = last = { THIS: 0, LAST: -1, NEXT: 1 }[match[1]];
+  } else if ((match = /^(LAST|NEXT)_N_((?:FISCAL_)?(?:MONTH|QUARTER|YEAR))S$/.exec(name)) && count > 0) {
+    unit = match[2];
+    [first, last] = match[1] === 'LAST' ? [-count, -1] : [1, count];
+  } else if ((match = /^N_((?:FISCAL_)?(?:MONTH|QUARTER|YEAR))S_AGO$/.exec(name))) {
+    unit = match[1];
+    first = last = -count;
+  } else {
+    return null;
+  }
+  const a = periodAt(unit, first, today, calendar);
+  const b = periodAt(unit, last, today, calendar);
+  if (!a || !b) return null;
+  return { from: a.start, to: b.end, names: [...new Set([a.name, b.name].filter(Boolean))] };
+}
+
+/** THIS_FISCAL_QUARTER → "This fiscal quarter", LAST_N_DAYS:90 → "Last 90 days", N_DAYS_AGO:1 → "1 day ago" */
+function humanize(literal) {
+  const [name, n] = literal.split(':');
+  const words = name.toLowerCase().split('_');
+  const unit = (list) => (n === '1' ? list.join(' ').replace(/s$/, '') : list.join(' '));
+  let text = words.join(' ');
+  if (n !== undefined && words[0] === 'n') text = `${n} ${unit(words.slice(1, -1))} ago`;
+  else if (n !== undefined) text = `${words[0]} ${n} ${unit(words.slice(2))}`;
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * Label a parsed period and work out its dates.
+ * @returns {{ label, from, to, fiscal }} - from/to null when they can't be worked out (weeks, or
+ *   custom fiscal periods beyond the loaded Period records)
+ */
+function describePeriod(period, calendar = fiscalCalendar(), now = new Date()) {
+  if (!period.literal) {
+    const { from, to } = period;
+    return { label: from && to ? `${from} – ${to}` : from ? `Since ${from}` : `Through ${to}`, from, to, fiscal: false };
+  }
+  const resolved = resolveLiteral(period.literal, calendar, toIsoDate(now));
+  const names = resolved?.names.length ? `, ${resolved.names.join(' – ')}` : '';
+  const dates = !resolved ? '' : resolved.from === resolved.to ? ` (${resolved.from})` : ` (${resolved.from} – ${resolved.to})`;
+  return {
+    label: `${humanize(period.literal)}${names}${dates}`,
+    from: resolved?.from ?? null,
+    to: resolved?.to ?? null,
+    fiscal: period.literal.includes('FISCAL'),
+  };
+}
+
+// ── Exports ──
+
+export {
+  PERIOD_LITERALS,
+  parsePeriod,
+  periodCondition,
+  fiscalCalendar,
+  describePeriod,
+};
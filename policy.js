@@ -0,0 +1,146 @@
+/**
+ * StratoForce AI — Access Policy
+ *
+ * Decides which tools and resources a caller may use, from two inputs:
+ *   1. OAuth scopes on the caller's token (mcp:read, mcp:write). API-key and
+ *      stdio callers hold every scope.
+ *   2. A role profile assigned to the caller's identity, from POLICY_FILE:
+ *
+ *   {
+ *     "defaultRole": "exec",
+ *     "roles": {
+ *       "rep":     { "deny": ["get_leaderboard"], "records": "own" },
+ *       "manager": {},
+ *       "exec":    {}
+ *     },
+ *     "assignments": {
+ *       "user:005xx0000012345": "rep",
+ *       "apikey:ci-bot": "exec",
+ *       "org:00Dxx0000001234": "manager"
+ *     }
+ *   }
+ *
+ * Assignment keys: user:<Salesforce user ID> and org:<org ID> match OAuth
+ * callers, apikey:<name> matches a named API key. First match wins, in that
+ * order; everyone else gets defaultRole.
+ *
+ * Role fields:
+ *   allow   — tool/resource names the role may use (default: all, "*")
+ *   deny    — names removed from allow
+ *   records — "all" (default) or "own": only opportunities the caller owns
+ *
+ * Without POLICY_FILE the built-in rep/manager/exec roles apply and everyone
+ * is "exec", which matches the pre-policy behaviour.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { readFileSync } from 'node:fs';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+const ALL_SCOPES = ['mcp:read', 'mcp:write'];
+
+const DEFAULT_POLICY = {
+  defaultRole: 'exec',
+  roles: {
+    rep: { deny: ['get_leaderboard'], records: 'own' },
+    manager: {},
+    exec: {},
+  },
+  assignments: {},
+};
+
+/**
+ * Access denials surface as MCP errors (-32600) rather than tool output.
+ */
+class AccessDeniedError extends McpError {
+  constructor(message) {
+    super(ErrorCode.InvalidRequest, `Access denied: ${message}`);
+    this.name = 'AccessDeniedError';
+  }
+}
+
+function validatePolicy(policy, source) {
+  if (!policy.roles || typeof policy.roles !== 'object') {
+    throw new Error(`Policy ${source} must define "roles"`);
+  }
+  for (const [name, role] of Object.entries(policy.roles)) {
+    if (role.records && !['all', 'own'].includes(role.records)) {
+      throw new Error(`Policy ${source}: role "${name}" has invalid records "${role.records}" (use "all" or "own")`);
+    }
+  }
+  const roleNames = new Set(Object.keys(policy.roles));
+  if (!roleNames.has(policy.defaultRole)) {
+    throw new Error(`Policy ${source}: defaultRole "${policy.defaultRole}" is not a defined role`);
+  }
+  for (const [who, role] of Object.entries(policy.assignments || {})) {
+    if (!roleNames.has(role)) throw new Error(`Policy ${source}: "${who}" is assigned unknown role "${role}"`);
+  }
+  return policy;
+}
+
+/**
+ * Load POLICY_FILE, or the built-in defaults.
+ */
+function loadPolicy(env = process.env) {
+  if (!env.POLICY_FILE) return DEFAULT_POLICY;
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(env.POLICY_FILE, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot load policy ${env.POLICY_FILE}: ${err.message}`);
+  }
+  return validatePolicy({
+    defaultRole: parsed.defaultRole || 'exec',
+    roles: parsed.roles,
+    assignments: parsed.assignments || {},
+  }, env.POLICY_FILE);
+}
+
+/**
+ * Resolve a caller's access from the policy.
+ *
+ * @param {object} policy - from loadPolicy()
+ * @param {object} identity - { kind: 'oauth'|'apikey'|'local', name, userId, orgId, scopes }
+ * @returns {{ role, scopes, records, userId, check(name, requiredScope) }}
+ */
+function resolveAccess(policy, identity) {
+  const assignments = policy.assignments || {};
+  // Salesforce IDs come as 18 chars from OAuth; admins often paste the 15-char form
+  const roleName = (identity.userId && (assignments[`user:${identity.userId}`] || assignments[`user:${identity.userId.slice(0, 15)}`]))
+    || (identity.kind === 'apikey' && assignments[`apikey:${identity.name}`])
+    || (identity.orgId && assignments[`org:${identity.orgId}`])
+    || policy.defaultRole;
+  const role = policy.roles[roleName] || {};
+  const allow = role.allow || ['*'];
+  const deny = new Set(role.deny || []);
+  const scopes = identity.scopes || ALL_SCOPES;
+
+  return {
+    role: roleName,
+    scopes,
+    records: role.records || 'all',
+    userId: identity.userId || null,
+
+    /** → null when allowed, else the reason it is denied */
+    check(name, requiredScope) {
+      if (requiredScope && !scopes.includes(requiredScope)) {
+        return `${name} requires scope ${requiredScope}`;
+      }
+      if (deny.has(name) || !(allow.includes('*') || allow.includes(name))) {
+        return `role "${roleName}" may not use ${name}`;
+      }
+      return null;
+    },
+  };
+}
+
+// ── Exports ──
+
+export {
+  ALL_SCOPES,
+  AccessDeniedError,
+  loadPolicy,
+  resolveAccess,
+};
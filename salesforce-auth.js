@@ -0,0 +1,272 @@
+/**
+ * StratoForce AI — Salesforce Auth Providers
+ *
+ * Pluggable ways for the server to obtain a Salesforce access token for the
+ * host org, with an in-memory token cache so we only hit the token endpoint
+ * (or the sf CLI) when the cached session expires or is rejected.
+ *
+ * Providers (SF_AUTH_PROVIDER):
+ *   cli                 — `sf org display` for an authenticated CLI alias (default)
+ *   jwt                 — OAuth 2.0 JWT bearer flow (connected app + private key)
+ *   client_credentials  — OAuth 2.0 client credentials flow (run-as user on the app)
+ *   refresh_token       — refresh token stored in a JSON file
+ *
+ * Every provider exposes the same shape:
+ *   getToken()   → Promise<{ accessToken, instanceUrl }>  (cached)
+ *   invalidate() → drop the cached token (e.g. after a 401 INVALID_SESSION_ID)
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { execFile } from 'node:child_process';
+import { readFile, writeFile } from 'node:fs/promises';
+import { promisify } from 'node:util';
+import { SignJWT, importPKCS8 } from 'jose';
+
+const execFileAsync = promisify(execFile);
+
+// ── Config ──
+
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+// Salesforce token responses carry no expiry; assume the default 2h session
+// timeout minus a safety margin unless told otherwise.
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const EXPIRY_SKEW_MS = 60000;
+
+// ── Token Cache ──
+
+/**
+ * Wrap a raw token fetcher with caching, expiry and in-flight de-duplication,
+ * so concurrent tool calls share one token request.
+ */
+function withTokenCache(name, fetchToken, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS) {
+  let cached = null;   // { accessToken, instanceUrl, expiresAt }
+  let inflight = null;
+
+  return {
+    name,
+
+    async getToken() {
+      if (cached && cached.expiresAt - EXPIRY_SKEW_MS > Date.now()) {
+        return { accessToken: cached.accessToken, instanceUrl: cached.instanceUrl };
+      }
+      if (!inflight) {
+        inflight = (async () => {
+          try {
+            const token = await fetchToken();
+            cached = {
+              accessToken: token.accessToken,
+              instanceUrl: token.instanceUrl,
+              expiresAt: token.expiresAt || Date.now() + ttlSeconds * 1000,
+            };
+            return cached;
+          } finally {
+            inflight = null;
+          }
+        })();
+      }
+      const token = await inflight;
+      return { accessToken: token.accessToken, instanceUrl: token.instanceUrl };
+    },
+
+    invalidate() {
+      cached = null;
+    },
+  };
+}
+
+// ── Helpers ──
+
+async function requestToken(loginUrl, params) {
+  const res = await fetch(`${loginUrl.replace(/\/$/, '')}/services/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params),
+  });
+  if (!res.ok) {
+    // Token endpoint errors are { error, error_description } — never echo the request
+    let detail = `${res.status}`;
+    try {
+      const err = await res.json();
+      detail = `${err.error}: ${err.error_description || ''}`.trim();
+    } catch {}
+    throw new Error(`Salesforce token request failed (${detail})`);
+  }
+  return res.json();
+}
+
+function requireOption(opts, key, provider) {
+  if (!opts[key]) throw new Error(`Salesforce auth provider "${provider}" requires ${key}`);
+  return opts[key];
+}
+
+// ── Providers ──
+
+/**
+ * sf CLI alias. Runs asynchronously via execFile (no shell), so it neither
+ * blocks the event loop nor allows injection through the alias.
+ */
+function createCliProvider(opts) {
+  const alias = opts.alias;
+  // Y-11 / L-5: Guard against shell injection via org alias
+  if (!/^[a-zA-Z0-9_-]+$/.test(alias || '')) {
+    throw new Error(`Invalid org alias: "${alias}". Only alphanumeric, hyphen, and underscore are allowed.`);
+  }
+  return withTokenCache(`cli:${alias}`, async () => {
+    try {
+      const { stdout } = await execFileAsync(
+        'sf', ['org', 'display', '--target-org', alias, '--json'],
+        { encoding: 'utf-8', timeout: 15000 }
+      );
+      const parsed = JSON.parse(stdout);
+      return {
+        accessToken: parsed.result.accessToken,
+        instanceUrl: parsed.result.instanceUrl,
+      };
+    } catch {
+      throw new Error(`Salesforce auth failed. Run: sf org login web --alias ${alias}`);
+    }
+  }, opts.ttlSeconds);
+}
+
+/**
+ * OAuth 2.0 JWT bearer flow — server-to-server, no stored refresh token.
+ * Needs the connected app consumer key, the pre-authorized username and the
+ * app's certificate private key (PKCS#8 PEM).
+ */
+function createJwtProvider(opts) {
+  const clientId = requireOption(opts, 'clientId', 'jwt');
+  const username = requireOption(opts, 'username', 'jwt');
+  const loginUrl = opts.loginUrl || DEFAULT_LOGIN_URL;
+  let privateKey = null;
+
+  return withTokenCache(`jwt:${username}`, async () => {
+    if (!privateKey) {
+      const pem = opts.privateKey || (opts.privateKeyFile && await readFile(opts.privateKeyFile, 'utf-8'));
+      if (!pem) throw new Error('Salesforce auth provider "jwt" requires privateKey or privateKeyFile');
+      privateKey = await importPKCS8(pem, 'RS256');
+    }
+    const assertion = await new SignJWT({})
+      .setProtectedHeader({ alg: 'RS256' })
+      .setIssuer(clientId)
+      .setSubject(username)
+      .setAudience(opts.audience || loginUrl)
+      .setExpirationTime('3m')
+      .sign(privateKey);
+
+    const tokens = await requestToken(loginUrl, {
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion,
+    });
+    return { accessToken: tokens.access_token, instanceUrl: tokens.instance_url };
+  }, opts.ttlSeconds);
+}
+
+/**
+ * OAuth 2.0 client credentials flow. Salesforce only serves this grant on the
+ * org's My Domain URL, so loginUrl must be set (not login.salesforce.com).
+ */
+function createClientCredentialsProvider(opts) {
+  const clientId = requireOption(opts, 'clientId', 'client_credentials');
+  const clientSecret = requireOption(opts, 'clientSecret', 'client_credentials');
+  const loginUrl = requireOption(opts, 'loginUrl', 'client_credentials');
+
+  return withTokenCache(`client_credentials:${loginUrl}`, async () => {
+    const tokens = await requestToken(loginUrl, {
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret,
+    });
+    return { accessToken: tokens.access_token, instanceUrl: tokens.instance_url };
+  }, opts.ttlSeconds);
+}
+
+/**
+ * Refresh token kept in a JSON file:
+ *   { "refresh_token": "...", "client_id": "...", "client_secret": "...", "login_url": "..." }
+ * Options override file values. If the org rotates refresh tokens, the new one
+ * is written back to the file.
+ */
+function createRefreshTokenProvider(opts) {
+  const file = requireOption(opts, 'refreshTokenFile', 'refresh_token');
+
+  return withTokenCache(`refresh_token:${file}`, async () => {
+    let stored;
+    try {
+      stored = JSON.parse(await readFile(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Cannot read refresh token file ${file}: ${err.message}`);
+    }
+    const clientId = opts.clientId || stored.client_id;
+    const clientSecret = opts.clientSecret || stored.client_secret;
+    const loginUrl = opts.loginUrl || stored.login_url || DEFAULT_LOGIN_URL;
+    if (!stored.refresh_token || !clientId) {
+      throw new Error(`Refresh token file ${file} must contain refresh_token and client_id`);
+    }
+
+    const params = { grant_type: 'refresh_token', refresh_token: stored.refresh_token, client_id: clientId };
+    if (clientSecret) params.client_secret = clientSecret;
+    const tokens = await requestToken(loginUrl, params);
+
+    if (tokens.refresh_token && tokens.refresh_token !== stored.refresh_token) {
+      await writeFile(file, JSON.stringify({ ...stored, refresh_token: tokens.refresh_token }, null, 2), { mode: 0o600 });
+    }
+    return {
+      accessToken: tokens.access_token,
+      instanceUrl: tokens.instance_url || stored.instance_url,
+    };
+  }, opts.ttlSeconds);
+}
+
+const PROVIDERS = {
+  cli: createCliProvider,
+  jwt: createJwtProvider,
+  client_credentials: createClientCredentialsProvider,
+  refresh_token: createRefreshTokenProvider,
+};
+
+/**
+ * Create an auth provider from a config object: { type, ...providerOptions }.
+ */
+function createAuthProvider(config) {
+  const factory = PROVIDERS[config.type || 'cli'];
+  if (!factory) {
+    throw new Error(`Unknown Salesforce auth provider "${config.type}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Build the host org provider from environment variables.
+ */
+function authProviderFromEnv(env = process.env) {
+  return createAuthProvider({
+    type: env.SF_AUTH_PROVIDER || 'cli',
+    alias: env.SF_TARGET_ORG || 'stratoforce-dev',
+    clientId: env.SF_CLIENT_ID,
+    clientSecret: env.SF_CLIENT_SECRET,
+    username: env.SF_USERNAME,
+    privateKey: env.SF_PRIVATE_KEY,
+    privateKeyFile: env.SF_PRIVATE_KEY_FILE,
+    loginUrl: env.SF_LOGIN_URL,
+    refreshTokenFile: env.SF_REFRESH_TOKEN_FILE,
+    ttlSeconds: env.SF_TOKEN_TTL_SECONDS ? parseInt(env.SF_TOKEN_TTL_SECONDS, 10) : undefined,
+  });
+}
+
+/**
+ * True when a Salesforce response says the session is no longer valid and a
+ * fresh token should be fetched.
+ */
+function isInvalidSession(status, body) {
+  return status === 401 && /INVALID_SESSION_ID/.test(body || '');
+}
+
+// ── Exports ──
+
+export {
+  createAuthProvider,
+  authProviderFromEnv,
+  isInvalidSession,
+};
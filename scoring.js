@@ -0,0 +1,207 @@
+/**
+ * StratoForce AI — Deal Scoring
+ *
+ * Explainable 0–100 deal score computed from data the server already reads:
+ *
+ *   stageAge         days in the current stage vs dealScore.stageAgeDays
+ *   activity         days since LastActivityDate vs thresholds.staleDays
+ *   contactCoverage  contact roles vs dealScore.targetContacts
+ *   primaryContact   a primary contact role is set
+ *   closeDateSlips   close date pushed out (OpportunityHistory) or past due
+ *   sentiment        recent stratoforce__Conversation_Analysis__c sentiment
+ *   meddic           latest conversation MEDDIC score
+ *
+ * Each factor scores 0–1 and is worth its configured weight (config.js
+ * dealScore.weights). Factors without data — no analyzed conversations yet —
+ * are left out and the remaining weights scaled up, so a new deal isn't
+ * penalised for what hasn't happened. A weight of 0 turns a factor off.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+const DAY_MS = 86400000;
+
+// Close-date pushes that take the slip factor to zero
+const SLIPS_TO_ZERO = 3;
+
+// Conversation analyses averaged for sentiment
+const SENTIMENT_SAMPLE = 3;
+
+const FACTOR_LABELS = {
+  stageAge: 'Stage age',
+  activity: 'Activity recency',
+  contactCoverage: 'Contact coverage',
+  primaryContact: 'Primary contact',
+  closeDateSlips: 'Close-date slips',
+  sentiment: 'Conversation sentiment',
+  meddic: 'MEDDIC',
+};
+
+// ── Helpers ──
+
+const daysBetween = (from, to) => Math.floor((to - new Date(from)) / DAY_MS);
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/** 1 up to `full` days, 0 from `zero` days, linear in between. */
+function decay(days, full, zero) {
+  if (days <= full) return 1;
+  if (days >= zero) return 0;
+  return (zero - days) / (zero - full);
+}
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+const normalize = (value, [min, max]) => clamp01((value - min) / (max - min));
+
+/** When the opportunity entered its current stage, from OpportunityHistory. */
+function stageEnteredAt(opportunity, history) {
+  let entered = opportunity.CreatedDate;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].StageName !== opportunity.StageName) break;
+    entered = history[i].CreatedDate;
+  }
+  return entered;
+}
+
+/** Times CloseDate moved later across the history rows (oldest first). */
+function countSlips(history) {
+  let slips = 0;
+  for (let i = 1; i < history.length; i++) {
+    const before = history[i - 1].CloseDate;
+    const after = history[i].CloseDate;
+    if (before && after && after > before) slips++;
+  }
+  return slips;
+}
+
+// ── Factors ──
+
+// Each returns { score: 0–1, detail } or null when there's nothing to score
+const FACTORS = {
+  stageAge({ opportunity, history }, { stageAgeDays }, now) {
+    const entered = stageEnteredAt(opportunity, history);
+    if (!entered) return null;
+    const days = daysBetween(entered, now);
+    return {
+      score: decay(days, stageAgeDays, stageAgeDays * 3),
+      detail: `${plural(days, 'day')} in ${opportunity.StageName} (expected ≤ ${stageAgeDays})`,
+    };
+  },
+
+  activity({ opportunity }, { staleDays }, now) {
+    if (!opportunity.LastActivityDate) return { score: 0, detail: 'No activity logged' };
+    const days = daysBetween(opportunity.LastActivityDate, now);
+    return {
+      score: decay(days, Math.floor(staleDays / 2), staleDays * 2),
+      detail: `Last activity ${plural(days, 'day')} ago (stale after ${staleDays})`,
+    };
+  },
+
+  contactCoverage({ contactRoles }, { targetContacts }) {
+    const n = contactRoles.length;
+    return {
+      score: targetContacts ? clamp01(n / targetContacts) : 1,
+      detail: `${plural(n, 'contact role')} (target ${targetContacts})`,
+    };
+  },
+
+  primaryContact({ contactRoles }) {
+    const primary = contactRoles.find(c => c.IsPrimary);
+    return primary
+      ? { score: 1, detail: `Primary contact: ${primary.Contact?.Name || 'set'}` }
+      : { score: 0, detail: 'No primary contact designated' };
+  },
+
+  closeDateSlips({ opportunity, history }, options, now) {
+    const slips = countSlips(history);
+    const pastDue = !opportunity.IsClosed && opportunity.CloseDate && daysBetween(opportunity.CloseDate, now) > 0;
+    const penalties = slips + (pastDue ? 1 : 0);
+    const parts = [slips ? `Close date pushed ${plural(slips, 'time')}` : 'Close date never pushed'];
+    if (pastDue) parts.push(`past due since ${opportunity.CloseDate}`);
+    return { score: clamp01(1 - penalties / SLIPS_TO_ZERO), detail: parts.join(', ') };
+  },
+
+  sentiment({ analyses }, { sentimentRange }) {
+    const values = analyses.map(a => a.stratoforce__Sentiment_Score__c).filter(v => typeof v === 'number').slice(0, SENTIMENT_SAMPLE);
+    if (!values.length) return null;
+    const average = values.reduce((a, b) => a + b, 0) / values.length;
+    return {
+      score: normalize(average, sentimentRange),
+      detail: `Average sentiment ${Math.round(average * 100) / 100} over the last ${plural(values.length, 'analyzed conversation')}`,
+    };
+  },
+
+  meddic({ analyses }, { meddicRange }) {
+    const latest = analyses.find(a => typeof a.stratoforce__MEDDIC_Score__c === 'number');
+    if (!latest) return null;
+    return {
+      score: normalize(latest.stratoforce__MEDDIC_Score__c, meddicRange),
+      detail: `Latest MEDDIC score ${latest.stratoforce__MEDDIC_Score__c} of ${meddicRange[1]}`,
+    };
+  },
+};
+
+// ── Score ──
+
+/**
+ * Score a deal.
+ * @param {object} data - { opportunity, contactRoles, history (oldest first), analyses (newest first) }
+ * @param {object} options - config.dealScore plus staleDays
+ * @returns {{ score, factors: [{ factor, label, weight, score, points, maxPoints, detail }], skipped, reasons }}
+ */
+function scoreDeal(data, options, now = Date.now()) {
+  const evaluated = Object.entries(FACTORS)
+    .filter(([factor]) => options.weights[factor] > 0)
+    .map(([factor, evaluate]) => ({ factor, weight: options.weights[factor], result: evaluate(data, options, now) }));
+  const scored = evaluated.filter(e => e.result);
+  const totalWeight = scored.reduce((sum, e) => sum + e.weight, 0);
+
+  const factors = scored.map(({ factor, weight, result }) => {
+    const maxPoints = totalWeight ? (weight / totalWeight) * 100 : 0;
+    return {
+      factor,
+      label: FACTOR_LABELS[factor],
+      weight,
+      score: Math.round(result.score * 100) / 100,
+      points: Math.round(result.score * maxPoints * 10) / 10,
+      maxPoints: Math.round(maxPoints * 10) / 10,
+      detail: result.detail,
+    };
+  });
+
+  // The factors costing the most points, biggest first
+  const reasons = factors
+    .filter(f => f.maxPoints - f.points >= 0.5)
+    .sort((a, b) => (b.maxPoints - b.points) - (a.maxPoints - a.points))
+    .slice(0, 3)
+    .map(f => `${f.label}: ${f.detail} (−${Math.round((f.maxPoints - f.points) * 10) / 10} pts)`);
+
+  return {
+    score: Math.round(factors.reduce((sum, f) => sum + f.points, 0)),
+    factors,
+    skipped: evaluated.filter(e => !e.result).map(e => FACTOR_LABELS[e.factor]),
+    reasons,
+  };
+}
+
+/** Text breakdown shared by both entry points. */
+function formatDealScore(name, result) {
+  const width = Math.max(...result.factors.map(f => f.label.length));
+  return [
+    `Deal Score: ${name} — ${result.score}/100`,
+    `${'='.repeat(40)}`,
+    `Factors:`,
+    ...result.factors.map(f => `  ${f.label.padEnd(width)}  ${f.points.toFixed(1).padStart(5)}/${f.maxPoints.toFixed(1)}  ${f.detail}`),
+    result.skipped.length ? `  Not scored (no data): ${result.skipped.join(', ')}` : '',
+    `\nWhy it's not higher:`,
+    ...(result.reasons.length ? result.reasons.map((r, i) => `  ${i + 1}. ${r}`) : ['  Nothing significant — every factor is at or near full marks.']),
+  ].filter(Boolean).join('\n');
+}
+
+// ── Exports ──
+
+export {
+  FACTOR_LABELS,
+  scoreDeal,
+  formatDealScore,
+};
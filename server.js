@@ -16,140 +16,1017 @@
  * @since Sprint 3
  */
 
-import { randomUUID } from 'node:crypto';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
-import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { isInitializeRequest, McpError, ErrorCode, CallToolRequestSchema, ReadResourceRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
-import { execSync } from 'node:child_process';
 import express from 'express';
 import {
   OAUTH_CONFIG,
+  handleRegister,
   handleAuthorize,
   handleCallback,
   handleToken,
+  handleRevoke,
+  handleIntrospect,
   handleResourceMetadata,
   handleServerMetadata,
   oauthMiddleware,
 } from './oauth.js';
+import { isInvalidSession } from './salesforce-auth.js';
+import { loadOrgRegistry } from './orgs.js';
+import { AccessDeniedError, loadPolicy, resolveAccess } from './policy.js';
+import { SoqlFragment, soql, field, like, sfId, isSalesforceId, dateLiteral, isoDate, withNamespace, fromNamespace } from './soql.js';
+import { loadConfig } from './config.js';
+import { createCache } from './cache.js';
+import { createSalesforceHttp, httpOptionsFromEnv, salesforceError } from './sf-http.js';
+import { createUsageTracker, usageOptionsFromEnv } from './usage.js';
+import { createAuditLog, auditOptionsFromEnv, redactArgs } from './audit.js';
+import { registry as metrics, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics.js';
+import { SessionLimitError, createSessionRegistry, sessionOptionsFromEnv, createEventStore } from './sessions.js';
+import { parseTranscript, formatTranscript, conversationFields } from './transcript.js';
+import { scoreDeal, formatDealScore } from './scoring.js';
+import { OUTPUT_SCHEMAS } from './tool-schemas.js';
+import { currencyProfile, createMoney, localeFromSid } from './currency.js';
+import { PERIOD_LITERALS, parsePeriod, periodCondition, fiscalCalendar, describePeriod } from './periods.js';
+import { createResourceWatcher, subscriptionOptionsFromEnv } from './subscriptions.js';
+import { AsyncLocalStorage } from 'node:async_hooks';
 
 // ── Config ──
 
+// API version, namespace, Apex REST base and thresholds (config.js)
+const config = loadConfig();
+const { namespace: NAMESPACE } = config.salesforce;
+const { thresholds } = config;
+
 const MODE = process.argv.includes('--stdio') ? 'stdio' : 'http';
 const PORT = parseInt(process.env.MCP_PORT || '3100', 10);
 const API_KEY = process.env.STRATOFORCE_API_KEY || null;
 const OAUTH_ENABLED = process.argv.includes('--oauth') || process.env.OAUTH_ENABLED === 'true';
-const DEFAULT_ORG = process.env.SF_TARGET_ORG || 'stratoforce-dev';
+
+// Named API keys ("ci-bot=<key>,analyst=<key>") let policy roles and logs tell
+// callers apart; STRATOFORCE_API_KEY is the key named "default".
+const API_KEYS = new Map(); // key → name
+if (API_KEY) API_KEYS.set(API_KEY, 'default');
+for (const entry of (process.env.STRATOFORCE_API_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+  const eq = entry.indexOf('=');
+  if (eq < 1 || eq === entry.length - 1) {
+    console.error('FATAL: STRATOFORCE_API_KEYS entries must be name=key.');
+    process.exit(1);
+  }
+  API_KEYS.set(entry.slice(eq + 1), entry.slice(0, eq));
+}
+
+// Role profiles and scope requirements (POLICY_FILE, see policy.js)
+const policy = loadPolicy();
+
+// Required OAuth scope per tool and resource (role profiles are in policy.js)
+const REQUIRED_SCOPES = {
+  // Resources
+  'pipeline-summary': 'mcp:read',
+  'active-alerts': 'mcp:read',
+  'top-deals': 'mcp:read',
+  'forecast-snapshot': 'mcp:read',
+  'api-usage': 'mcp:read',
+  deal: 'mcp:read',
+  account: 'mcp:read',
+  'rep-pipeline': 'mcp:read',
+  competitor: 'mcp:read',
+  // Tools
+  get_pipeline_health: 'mcp:read',
+  get_deal_details: 'mcp:read',
+  get_pre_call_briefing: 'mcp:read',
+  scan_risks: 'mcp:read',
+  search_deals: 'mcp:read',
+  get_competitive_intel: 'mcp:read',
+  get_champion_status: 'mcp:read',
+  get_whitespace_analysis: 'mcp:read',
+  get_revenue_alerts: 'mcp:read',
+  get_win_loss_analysis: 'mcp:read',
+  get_conversation_insights: 'mcp:read',
+  get_account_health: 'mcp:read',
+  get_stage_velocity: 'mcp:read',
+  get_leaderboard: 'mcp:read',
+  ask_stratoforce: 'mcp:read',
+  ingest_conversation: 'mcp:write',
+  score_deal: 'mcp:read',
+  list_orgs: 'mcp:read',
+  switch_org: 'mcp:read',
+};
+
+// Pagination caps for sfQuery — queries stop following nextRecordsUrl at
+// whichever comes first and report truncated: true
+const QUERY_MAX_RECORDS = parseInt(process.env.SF_QUERY_MAX_RECORDS) || 2000;
+const QUERY_MAX_PAGES = parseInt(process.env.SF_QUERY_MAX_PAGES) || 10;
+
+// Multi-query tools: run independent queries concurrently ("parallel") or as
+// one Composite Batch API request ("composite")
+const QUERY_BATCH_MODE = process.env.SF_BATCH_MODE || 'parallel';
+const QUERY_CONCURRENCY = parseInt(process.env.SF_QUERY_CONCURRENCY) || 4;
+const COMPOSITE_BATCH_SIZE = 25; // Salesforce limit per Composite Batch request
+if (!['parallel', 'composite'].includes(QUERY_BATCH_MODE)) {
+  console.error(`FATAL: SF_BATCH_MODE must be "parallel" or "composite" (got "${QUERY_BATCH_MODE}").`);
+  process.exit(1);
+}
+
+// Response cache TTLs (seconds) per tool/resource; anything unlisted uses
+// CACHE_TTL_SECONDS. Override with CACHE_TTLS="get_leaderboard=900,scan_risks=0".
+const CACHE_DEFAULT_TTL = process.env.CACHE_TTL_SECONDS !== undefined ? parseInt(process.env.CACHE_TTL_SECONDS) || 0 : 60;
+const CACHE_TTLS = {
+  'pipeline-summary': 300,
+  'top-deals': 300,
+  'forecast-snapshot': 300,
+  'active-alerts': 60,
+  'api-usage': 0,
+  deal: 120,
+  account: 300,
+  'rep-pipeline': 300,
+  competitor: 900,
+  get_pipeline_health: 300,
+  get_win_loss_analysis: 900,
+  get_stage_velocity: 900,
+  get_leaderboard: 900,
+  get_competitive_intel: 900,
+  get_account_health: 300,
+  get_whitespace_analysis: 300,
+  get_revenue_alerts: 60,
+  scan_risks: 120,
+  ingest_conversation: 0, // the duplicate check must see the org as it is now
+};
+for (const entry of (process.env.CACHE_TTLS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+  const [name, ttl] = entry.split('=');
+  if (!name || !/^\d+$/.test(ttl || '')) {
+    console.error('FATAL: CACHE_TTLS entries must be name=seconds.');
+    process.exit(1);
+  }
+  CACHE_TTLS[name] = parseInt(ttl);
+}
+const responseCache = createCache({ maxBytes: (parseInt(process.env.CACHE_MAX_MB) || 50) * 1024 * 1024 });
 
 // Y-11 / H-2: Fail fast if API key not configured and not using OAuth or stdio
-if (MODE !== 'stdio' && !OAUTH_ENABLED && !API_KEY) {
-  console.error('FATAL: STRATOFORCE_API_KEY env var is required when not using OAuth.');
+if (MODE !== 'stdio' && !OAUTH_ENABLED && !API_KEYS.size) {
+  console.error('FATAL: STRATOFORCE_API_KEY (or STRATOFORCE_API_KEYS) env var is required when not using OAuth.');
   console.error('Set it and restart: export STRATOFORCE_API_KEY=<your-key>');
   process.exit(1);
 }
 
 // ── Salesforce Auth ──
 
-function getSalesforceAuth(targetOrg = DEFAULT_ORG) {
-  // Y-11 / L-5: Guard against shell injection via org alias
-  if (!/^[a-zA-Z0-9_-]+$/.test(targetOrg)) {
-    throw new Error(`Invalid org alias: "${targetOrg}". Only alphanumeric, hyphen, and underscore are allowed.`);
+// Host orgs for stdio / API-key mode: SF_ORGS_FILE registry, or the single
+// SF_TARGET_ORG / SF_AUTH_PROVIDER org
+const orgRegistry = loadOrgRegistry();
+
+/**
+ * Resolve the Salesforce session for a call.
+ * OAuth callers always use their own org session; registry orgs are only
+ * used for stdio and API-key deployments that serve the host's orgs.
+ * Returns the provider too, so a rejected cached token can be invalidated.
+ *
+ * @param {object} target - { sfAuth, org } — caller session and/or registry alias
+ */
+async function resolveSalesforceAuth(target = {}) {
+  const { sfAuth, org } = target;
+  if (sfAuth?.sfToken && sfAuth?.instanceUrl) {
+    if (org && org !== sfAuth.orgId) {
+      throw new Error('Org selection is not available for OAuth sessions — this session is bound to your own org.');
+    }
+    return { accessToken: sfAuth.sfToken, instanceUrl: sfAuth.instanceUrl, provider: null };
   }
-  try {
-    const raw = execSync(
-      `sf org display --target-org ${targetOrg} --json 2>/dev/null`,
-      { encoding: 'utf-8', timeout: 15000 }
-    );
-    const parsed = JSON.parse(raw);
-    return {
-      accessToken: parsed.result.accessToken,
-      instanceUrl: parsed.result.instanceUrl,
-    };
-  } catch {
-    throw new Error(`Salesforce auth failed. Run: sf org login web --alias ${targetOrg}`);
+  // Never fall back to the host org for remote OAuth customers
+  if (OAUTH_ENABLED && MODE !== 'stdio') {
+    throw new Error('No Salesforce session for this request. Re-authorize via /oauth/authorize.');
   }
+  const provider = orgRegistry.getProvider(org || orgRegistry.defaultAlias);
+  return { ...(await provider.getToken()), provider };
 }
 
-async function sfQuery(soql) {
-  const { accessToken, instanceUrl } = getSalesforceAuth();
-  const url = `${instanceUrl}/services/data/v62.0/query?q=${encodeURIComponent(soql)}`;
-  const res = await fetch(url, {
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
-  if (!res.ok) throw new Error(`SOQL failed (${res.status}): ${await res.text()}`);
-  return res.json();
+/** Which org a call goes to: the OAuth caller's org, or a registry alias. */
+function orgKeyFor(target) {
+  const { sfAuth, org } = target;
+  return sfAuth ? `oauth:${sfAuth.orgId}` : `org:${org || orgRegistry.defaultAlias}`;
+}
+
+/**
+ * Response cache key for a call: org + user + request, so callers only ever
+ * get back data fetched with an equivalent session.
+ */
+function cacheKey(target, request) {
+  return `${orgKeyFor(target)}|${target.sfAuth?.userId || '-'}|${request}`;
+}
+
+// Retries, timeouts, per-org circuit breaker and API usage throttling (sf-http.js)
+const sfHttp = createSalesforceHttp(httpOptionsFromEnv());
+
+// Per-call accounting and session/tool call budgets (usage.js)
+const apiUsage = createUsageTracker(usageOptionsFromEnv());
+
+// One JSONL record per tool call, resource read and prompt get (audit.js).
+// In stdio mode stdout carries the protocol, so "stdout" records go to stderr.
+const auditLog = createAuditLog({ ...auditOptionsFromEnv(), stream: MODE === 'stdio' ? process.stderr : process.stdout });
+
+// ── Metrics (GET /metrics) ──
+
+const mcpRequests = metrics.counter('stratoforce_mcp_requests_total', 'Tool calls, resource reads and prompt gets', ['type', 'name', 'outcome']);
+const mcpDuration = metrics.histogram('stratoforce_mcp_request_duration_seconds', 'Time to serve a tool call, resource read or prompt get', ['type', 'name']);
+const mcpErrors = metrics.counter('stratoforce_mcp_errors_total', 'Failed tool calls, resource reads and prompt gets by error type', ['type']);
+const sfRequests = metrics.counter('stratoforce_salesforce_requests_total', 'Salesforce HTTP calls by endpoint and status', ['endpoint', 'method', 'status']);
+const sfDuration = metrics.histogram('stratoforce_salesforce_request_duration_seconds', 'Salesforce HTTP call latency, retries included', ['endpoint']);
+metrics.counter('stratoforce_cache_hits_total', 'Response cache hits', [], () => [[{}, responseCache.stats().hits]]);
+metrics.counter('stratoforce_cache_misses_total', 'Response cache misses', [], () => [[{}, responseCache.stats().misses]]);
+metrics.counter('stratoforce_cache_evictions_total', 'Response cache LRU evictions', [], () => [[{}, responseCache.stats().evictions]]);
+metrics.gauge('stratoforce_cache_hit_ratio', 'Response cache hits / lookups since start', [], () => {
+  const { hits, misses } = responseCache.stats();
+  return [[{}, hits + misses ? hits / (hits + misses) : 0]];
+});
+metrics.gauge('stratoforce_cache_bytes', 'Approximate response cache size', [], () => [[{}, responseCache.stats().bytes]]);
+
+/** Error type label for a failed call, from the thrown error or a tool's isError text. */
+function errorType(message) {
+  if (/Access denied:/.test(message)) return 'access_denied';
+  if (/used its budget of/.test(message)) return 'budget_exceeded';
+  if (/unavailable after repeated failures|API allocation for/.test(message)) return 'salesforce_unavailable';
+  if (/did not respond within|Cannot reach Salesforce|temporarily unavailable/.test(message)) return 'salesforce_transient';
+  if (/failed \(\d{3}\)/.test(message)) return 'salesforce';
+  if (/^(Error: )?(MCP error -32602|Invalid )/.test(message)) return 'invalid_input';
+  return 'other';
+}
+
+/** Short endpoint label for usage stats: /query, /composite/batch, /apexrest/... */
+function endpointOf(url) {
+  return new URL(url).pathname
+    .replace(/^\/services\/data\/v[\d.]+/, '')
+    .replace(/^\/query\/.+/, '/query')
+    .replace(config.salesforce.apexBasePath, '/apexrest') || '/';
+}
+
+// Metric labels drop Apex REST record IDs so series stay bounded. Record IDs
+// always contain digits; named routes of the same length (precallbriefing) don't.
+const metricEndpoint = (endpoint) => endpoint
+  .split('/')
+  .map(segment => (isSalesforceId(segment) && /\d/.test(segment) ? ':id' : segment))
+  .join('/');
+
+/**
+ * fetch() against the org with the resolved session. On 401 INVALID_SESSION_ID
+ * from a cached provider token, drop the token and retry once.
+ * Returns { res, body, data } (see sfHttp.request) — body is the error text
+ * when !res.ok, data the parsed response when res.ok.
+ *
+ * @param {object} [options] - { idempotent } — POSTs that only read data may be retried
+ */
+async function sfFetch(buildUrl, opts, target, options = {}) {
+  let auth = await resolveSalesforceAuth(target);
+  const orgKey = orgKeyFor(target);
+  const { tool, sessionId } = target.call || {};
+  const send = async () => {
+    apiUsage.check({ orgKey, tool, sessionId });
+    const url = buildUrl(auth.instanceUrl);
+    const started = Date.now();
+    let status = null;
+    try {
+      const result = await sfHttp.request(orgKey, url, {
+        ...opts,
+        headers: { ...opts.headers, Authorization: `Bearer ${auth.accessToken}` },
+      }, options);
+      status = result.res.status;
+      return result;
+    } catch (err) {
+      if (err.notSent) throw err; // refused locally — Salesforce never saw it
+      status = err.errorCode || 'ERROR';
+      throw err;
+    } finally {
+      if (status !== null) {
+        const call = { endpoint: endpointOf(url), method: opts.method || 'GET', status, durationMs: Date.now() - started };
+        apiUsage.record({ orgKey, tool, sessionId, ...call });
+        sfRequests.inc({ endpoint: metricEndpoint(call.endpoint), method: call.method, status: call.status });
+        sfDuration.observe({ endpoint: metricEndpoint(call.endpoint) }, call.durationMs / 1000);
+        target.call?.salesforceCalls.push({ org: orgKey, ...call });
+      }
+    }
+  };
+  let result = await send();
+  if (result.res.status === 401 && auth.provider && isInvalidSession(result.res.status, result.body)) {
+    auth.provider.invalidate();
+    auth = await resolveSalesforceAuth(target);
+    result = await send();
+  }
+  return result;
+}
+
+const API_PATH = `/services/data/${config.salesforce.apiVersion}`;
+
+/** Caps and cache key for a query. */
+function planQuery(query, target, limits = {}) {
+  if (!(query instanceof SoqlFragment)) throw new TypeError('sfQuery expects a soql`` query');
+  const maxRecords = limits.maxRecords || QUERY_MAX_RECORDS;
+  const maxPages = limits.maxPages || QUERY_MAX_PAGES;
+  // target.call = { tool, sessionId, ttl, fresh } from the calling tool; fresh
+  // skips the cache read, not the write
+  const { call } = target;
+  const text = withNamespace(query.text, NAMESPACE);
+  const normalized = text.split('\n').map(line => line.trim()).filter(Boolean).join(' ');
+  const key = call?.ttl ? cacheKey(target, `query|${maxRecords}|${maxPages}|${normalized}`) : null;
+  const cached = key && !call.fresh ? responseCache.get(key) : undefined;
+  return { text, maxRecords, maxPages, key, ttl: call?.ttl, cached };
+}
+
+async function fetchQueryPage(path, target) {
+  const { res, body, data } = await sfFetch((instanceUrl) => `${instanceUrl}${path}`, {}, target);
+  if (!res.ok) throw salesforceError('SOQL query', res.status, body);
+  return data;
+}
+
+/** Follow nextRecordsUrl from a first page up to the plan's caps, then cache. */
+async function completeQuery(firstPage, plan, target) {
+  let page = firstPage;
+  const records = [...fromNamespace(page.records, NAMESPACE)];
+  let pages = 1;
+  while (!page.done && records.length < plan.maxRecords && pages < plan.maxPages) {
+    // Only follow locators on the org's own query endpoint, so the token stays there
+    if (!page.nextRecordsUrl?.startsWith('/services/data/')) {
+      throw new Error(`Unexpected nextRecordsUrl: ${String(page.nextRecordsUrl).slice(0, 100)}`);
+    }
+    page = await fetchQueryPage(page.nextRecordsUrl, target);
+    records.push(...fromNamespace(page.records, NAMESPACE));
+    pages++;
+  }
+
+  const truncated = !page.done || records.length > plan.maxRecords;
+  const result = {
+    records: records.slice(0, plan.maxRecords),
+    totalSize: firstPage.totalSize,
+    done: !truncated,
+    truncated,
+  };
+  if (plan.key) responseCache.set(plan.key, structuredClone(result), plan.ttl);
+  return result;
+}
+
+/**
+ * Run a query built with soql`` (soql.js). Plain strings are refused, so user
+ * input can't reach SOQL without going through the builder's escaping.
+ *
+ * stratoforce__ names are rewritten to the configured namespace on the way out
+ * and back on the way in, so callers always use the package's names.
+ *
+ * Follows nextRecordsUrl until the result is complete or a cap is hit.
+ * Returns { records, totalSize, done, truncated }: totalSize is Salesforce's
+ * full match count, truncated means records holds only part of it.
+ *
+ * @param {object} [limits] - { maxRecords, maxPages } (default SF_QUERY_MAX_RECORDS / SF_QUERY_MAX_PAGES)
+ */
+async function sfQuery(query, target = {}, limits = {}) {
+  const plan = planQuery(query, target, limits);
+  if (plan.cached) return structuredClone(plan.cached);
+  const firstPage = await fetchQueryPage(`${API_PATH}/query?q=${encodeURIComponent(plan.text)}`, target);
+  return completeQuery(firstPage, plan, target);
+}
+
+/** map() with at most `limit` calls of fn in flight. Results keep input order. */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
-async function sfApexRest(path, method = 'GET', body = null) {
-  const { accessToken, instanceUrl } = getSalesforceAuth();
-  const url = `${instanceUrl}/services/apexrest/stratoforce${path}`;
+/**
+ * Run independent queries together; results come back in the same order.
+ *
+ * SF_BATCH_MODE=parallel (default) sends them concurrently, at most
+ * SF_QUERY_CONCURRENCY at a time. SF_BATCH_MODE=composite sends them as one
+ * Composite Batch request (25 per request), which costs one API call instead of N.
+ * Either way each query is cached and paginated exactly like sfQuery().
+ */
+async function sfQueryBatch(queries, target = {}, limits = {}) {
+  const plans = queries.map(query => planQuery(query, target, limits));
+  const results = plans.map(plan => plan.cached ? structuredClone(plan.cached) : null);
+  const pending = plans.map((plan, i) => i).filter(i => !plans[i].cached);
+
+  if (QUERY_BATCH_MODE === 'composite' && pending.length > 1) {
+    for (let offset = 0; offset < pending.length; offset += COMPOSITE_BATCH_SIZE) {
+      const chunk = pending.slice(offset, offset + COMPOSITE_BATCH_SIZE);
+      const { res, body, data: batch } = await sfFetch(
+        (instanceUrl) => `${instanceUrl}${API_PATH}/composite/batch`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            batchRequests: chunk.map(i => ({
+              method: 'GET',
+              url: `${API_PATH.replace('/services/data/', '')}/query?q=${encodeURIComponent(plans[i].text)}`,
+            })),
+          }),
+        },
+        target,
+        { idempotent: true } // a batch of reads
+      );
+      if (!res.ok) throw salesforceError('Composite batch', res.status, body);
+      await Promise.all(chunk.map(async (i, n) => {
+        const sub = batch.results[n];
+        if (sub.statusCode >= 400) {
+          throw salesforceError('SOQL query', sub.statusCode, JSON.stringify(sub.result));
+        }
+        results[i] = await completeQuery(sub.result, plans[i], target);
+      }));
+    }
+  } else {
+    await mapWithConcurrency(pending, QUERY_CONCURRENCY, async (i) => {
+      const firstPage = await fetchQueryPage(`${API_PATH}/query?q=${encodeURIComponent(plans[i].text)}`, target);
+      results[i] = await completeQuery(firstPage, plans[i], target);
+    });
+  }
+  return results;
+}
+
+/** Tool result with typed data alongside the text (tool-schemas.js). */
+function structured(text, data) {
+  return { content: [{ type: 'text', text }], structuredContent: data };
+}
+
+/** Opportunity record → Deal in tool-schemas.js; fields the query didn't select stay undefined. */
+function toDeal(r) {
+  return {
+    id: r.Id,
+    name: r.Name,
+    stage: r.StageName,
+    amount: r.Amount,
+    closeDate: r.CloseDate,
+    lastActivityDate: r.LastActivityDate,
+    createdDate: r.CreatedDate,
+    probability: r.Probability,
+    forecastCategory: r.ForecastCategory,
+    account: r.Account === undefined ? undefined : r.Account?.Name ?? null,
+    owner: r.Owner === undefined ? undefined : r.Owner?.Name ?? null,
+  };
+}
+
+/** OpportunityContactRole record → Contact in tool-schemas.js. */
+function toContact(c) {
+  return {
+    name: c.Contact?.Name ?? null,
+    title: c.Contact?.Title ?? null,
+    email: c.Contact?.Email ?? null,
+    role: c.Role ?? null,
+    isPrimary: c.IsPrimary === true,
+  };
+}
+
+/** Aggregate row → { count, amount } */
+const toTotals = (r = {}) => ({ count: r.cnt || 0, amount: r.total || 0 });
+
+/** Footer for tool output built from a capped query ('' when complete). */
+function truncationNote(result, what = 'records') {
+  if (!result.truncated) return '';
+  return `\n⚠️ Showing the first ${result.records.length} of ${result.totalSize} ${what} — results were capped.`;
+}
+
+/**
+ * Call a StratoForce Apex REST endpoint.
+ * @param {object} [options] - { idempotent } — mark read-only POSTs so they can be retried
+ */
+async function sfApexRest(path, method = 'GET', body = null, target = {}, options = {}) {
+  const { call } = target;
+  const key = call?.ttl ? cacheKey(target, `apex|${method}|${path}|${JSON.stringify(body)}`) : null;
+  if (key && !call.fresh) {
+    const hit = responseCache.get(key);
+    if (hit) return structuredClone(hit);
+  }
+
   const opts = {
     method,
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
+    headers: { 'Content-Type': 'application/json' },
   };
   if (body) opts.body = JSON.stringify(body);
-  const res = await fetch(url, opts);
-  if (!res.ok) throw new Error(`Apex REST failed (${res.status}): ${await res.text()}`);
-  return res.json();
+  const { res, body: errBody, data: result } = await sfFetch(
+    (instanceUrl) => `${instanceUrl}${config.salesforce.apexBasePath}${path}`,
+    opts,
+    target,
+    options
+  );
+  if (!res.ok) throw salesforceError('Apex REST call', res.status, errBody);
+  if (key) responseCache.set(key, structuredClone(result), call.ttl);
+  return result;
 }
 
-// Sanitize SOQL input — prevent injection
-function sanitize(input) {
-  return (input || '').replace(/['"\\;]/g, '');
+/**
+ * Create a record through the sObject REST API; returns its ID. Field names
+ * use the package's stratoforce__ names, like sfQuery(). Not retried once sent.
+ */
+async function sfCreate(sobject, fields, target = {}) {
+  const body = Object.fromEntries(Object.entries(fields).map(([name, value]) => [withNamespace(name, NAMESPACE), value]));
+  const { res, body: errBody, data } = await sfFetch(
+    (instanceUrl) => `${instanceUrl}${API_PATH}/sobjects/${withNamespace(sobject, NAMESPACE)}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    },
+    target
+  );
+  if (!res.ok) throw salesforceError(`Create ${sobject}`, res.status, errBody);
+  return data.id;
+}
+
+// ── Org Settings ──
+
+// How long an org's currencies, rates and fiscal calendar, and a user's
+// currency and locale, are reused
+const SETTINGS_REFRESH_MS = 60 * 60 * 1000;
+const currencyProfiles = new Map(); // orgKey → { profile, expires }
+const userCurrencies = new Map();   // orgKey|userId → { currency, locale, expires }
+const fiscalCalendars = new Map();  // orgKey → { calendar, expires }
+
+/** Query records, or null when the org doesn't have the object or field (400). */
+async function optionalQuery(query, target, limits) {
+  try {
+    return (await sfQuery(query, target, limits)).records;
+  } catch (err) {
+    if (err.status === 400) return null; // INVALID_TYPE, INVALID_FIELD
+    throw err;
+  }
+}
+
+/**
+ * The org's currency profile (currency.js). CurrencyType exists only in
+ * multi-currency orgs and DatedConversionRate only with advanced currency
+ * management, so their absence is the feature check.
+ */
+async function currencyProfileFor(target) {
+  const orgKey = orgKeyFor(target);
+  const hit = currencyProfiles.get(orgKey);
+  if (hit && hit.expires > Date.now()) return hit.profile;
+
+  const probe = { sfAuth: target.sfAuth, org: target.org }; // bypasses the response cache
+  const currencyTypes = await optionalQuery(soql`SELECT IsoCode, ConversionRate, DecimalPlaces, IsCorporate FROM CurrencyType WHERE IsActive = true`, probe);
+  const [organization] = (await optionalQuery(currencyTypes
+    ? soql`SELECT DefaultLocaleSidKey FROM Organization LIMIT 1`
+    : soql`SELECT DefaultCurrencyIsoCode, DefaultLocaleSidKey FROM Organization LIMIT 1`, probe)) || [];
+  const datedRates = currencyTypes
+    ? await optionalQuery(soql`SELECT IsoCode, ConversionRate, StartDate, NextStartDate FROM DatedConversionRate`, probe, { maxRecords: 10000 })
+    : null;
+
+  const profile = currencyProfile({
+    currencyTypes,
+    datedRates: datedRates || [],
+    defaultCurrency: organization?.DefaultCurrencyIsoCode,
+    localeSid: organization?.DefaultLocaleSidKey,
+  });
+  currencyProfiles.set(orgKey, { profile, expires: Date.now() + SETTINGS_REFRESH_MS });
+  return profile;
+}
+
+/** A Salesforce user's own currency (multi-currency orgs) and locale. */
+async function userCurrencyFor(target, userId, profile) {
+  const key = `${orgKeyFor(target)}|${userId}`;
+  const hit = userCurrencies.get(key);
+  if (hit && hit.expires > Date.now()) return hit;
+
+  const probe = { sfAuth: target.sfAuth, org: target.org };
+  const fields = profile.multiCurrency ? soql`LocaleSidKey, DefaultCurrencyIsoCode` : soql`LocaleSidKey`;
+  const [user] = (await optionalQuery(soql`SELECT ${fields} FROM User WHERE Id = ${sfId(userId, '005')} LIMIT 1`, probe)) || [];
+  const entry = {
+    // Only an active currency can be reported in
+    currency: profile.rates.has(user?.DefaultCurrencyIsoCode) ? user.DefaultCurrencyIsoCode : null,
+    locale: localeFromSid(user?.LocaleSidKey),
+    expires: Date.now() + SETTINGS_REFRESH_MS,
+  };
+  userCurrencies.set(key, entry);
+  return entry;
+}
+
+/**
+ * The org's fiscal calendar (periods.js). Period rows, with their
+ * FiscalYearSettings, label custom fiscal years; FiscalYearStartMonth covers
+ * standard ones.
+ */
+async function fiscalCalendarFor(target) {
+  const orgKey = orgKeyFor(target);
+  const hit = fiscalCalendars.get(orgKey);
+  if (hit && hit.expires > Date.now()) return hit.calendar;
+
+  const probe = { sfAuth: target.sfAuth, org: target.org };
+  const [organizations, periods] = await Promise.all([
+    optionalQuery(soql`SELECT FiscalYearStartMonth, UsesStartDateAsFiscalYearName FROM Organization LIMIT 1`, probe),
+    optionalQuery(soql`
+      SELECT Type, Number, StartDate, EndDate, FiscalYearSettings.Name FROM Period
+      WHERE Type IN ('Year', 'Quarter') AND EndDate >= ${dateLiteral('LAST_N_YEARS:3')} AND StartDate <= ${dateLiteral('NEXT_N_YEARS:3')}
+    `, probe),
+  ]);
+  const [organization] = organizations || [];
+  const calendar = fiscalCalendar({
+    startMonth: organization?.FiscalYearStartMonth || 1,
+    nameByStartYear: organization?.UsesStartDateAsFiscalYearName === true,
+    periods: periods || [],
+  });
+  fiscalCalendars.set(orgKey, { calendar, expires: Date.now() + SETTINGS_REFRESH_MS });
+  return calendar;
+}
+
+// How often to refresh /limits for orgs this server has been calling
+const LIMITS_POLL_SECONDS = parseInt(process.env.SF_LIMITS_POLL_SECONDS) || 300;
+
+/** Fetch the org's /limits and feed the daily API numbers to the tracker and throttle. */
+async function refreshLimits(target) {
+  const { res, body, data: limits } = await sfFetch((instanceUrl) => `${instanceUrl}${API_PATH}/limits`, {}, target);
+  if (!res.ok) throw salesforceError('Limits request', res.status, body);
+  const orgKey = orgKeyFor(target);
+  apiUsage.setLimits(orgKey, limits);
+  const daily = limits.DailyApiRequests;
+  if (daily?.Max) sfHttp.recordUsage(orgKey, { used: daily.Max - daily.Remaining, max: daily.Max });
+  return limits;
+}
+
+// Registry orgs are polled in the background; OAuth orgs refresh when their
+// api-usage resource is read, since polling needs the caller's session
+setInterval(() => {
+  for (const orgKey of apiUsage.orgKeys()) {
+    if (!orgKey.startsWith('org:')) continue;
+    refreshLimits({ org: orgKey.slice(4) }).catch(err => console.error(`Limits poll failed for ${orgKey}: ${err.message}`));
+  }
+}, LIMITS_POLL_SECONDS * 1000).unref();
+
+// ── Resource Subscriptions ──
+
+// Resources open to resources/subscribe, each with a one-row aggregate that
+// changes whenever the resource would: new or expired alerts, and open deals
+// added, closed, re-staged or re-valued. Edits that leave the summary as it
+// was (a new description) still notify; clients just re-read the same text.
+const SUBSCRIBABLE = {
+  'stratoforce://alerts/active': {
+    name: 'active-alerts',
+    query: () => soql`
+      SELECT COUNT(Id) cnt, MAX(CreatedDate) latest FROM stratoforce__AI_Alert__c
+      WHERE CreatedDate = ${dateLiteral(`LAST_N_DAYS:${thresholds.alertDays}`)}
+    `,
+  },
+  'stratoforce://pipeline/summary': {
+    name: 'pipeline-summary',
+    query: () => soql`
+      SELECT COUNT(Id) cnt, SUM(Amount) total, MAX(LastModifiedDate) latest
+      FROM Opportunity WHERE IsClosed = false
+    `,
+  },
+};
+
+// One poll per org across sessions (subscriptions.js). Fingerprints are
+// org-wide — a role limited to its own records may be told of a change it
+// can't see — and bypass the response cache, having no call scope.
+const resourceWatcher = createResourceWatcher({
+  ...subscriptionOptionsFromEnv(),
+  fingerprint: async (uris, source) => {
+    const results = await sfQueryBatch(uris.map(uri => SUBSCRIBABLE[uri].query()), source());
+    return Object.fromEntries(uris.map((uri, i) => [uri, JSON.stringify(results[i].records)]));
+  },
+  onError: (err, orgKey) => console.error(`Resource poll failed for ${orgKey}: ${err.message}`),
+});
+
+// ── Caller Identity ──
+
+/**
+ * Who is calling: { kind: 'oauth'|'apikey'|'local', name, userId, orgId, scopes }.
+ * scopes undefined means every scope (API key and stdio callers).
+ */
+function identityFromRequest(req) {
+  if (req.sfAuth) {
+    return {
+      kind: 'oauth',
+      name: req.sfAuth.userId || req.sfAuth.orgId,
+      userId: req.sfAuth.userId,
+      orgId: req.sfAuth.orgId,
+      scopes: (req.sfAuth.scope || '').split(' ').filter(Boolean),
+    };
+  }
+  if (req.apiKeyName) return { kind: 'apikey', name: req.apiKeyName };
+  return { kind: 'local', name: 'anonymous' };
+}
+
+/** Constant-time check of an Authorization header against `Bearer <secret>`. */
+function bearerMatches(header, secret) {
+  const provided = Buffer.from(header || '');
+  const expected = Buffer.from(`Bearer ${secret}`);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+function identityKey(identity) {
+  return `${identity.kind}:${identity.orgId || ''}:${identity.userId || identity.name}`;
+}
+
+/** Who made a call, as written to the audit log: API key name or OAuth sub (org ID) and user. */
+function auditIdentity(identity) {
+  if (!identity) return null;
+  return identity.kind === 'oauth'
+    ? { kind: 'oauth', name: identity.name, sub: identity.orgId, userId: identity.userId }
+    : { kind: identity.kind, name: identity.name };
 }
 
 // ── MCP Server Factory ──
 
-function createServer() {
+// Per-call state (tool, session, cache TTL, fresh, Salesforce calls made) for
+// the tool or resource being served
+const callScope = new AsyncLocalStorage();
+
+// Names registered by createServer, for /health and the startup banner
+const catalog = { tools: new Set(), resources: new Set(), prompts: new Set() };
+
+/**
+ * Wrap the handler McpServer installs for one request method. It installs its
+ * handlers on the first registration of each kind and offers no way to wrap
+ * them, so this must run before anything is registered.
+ */
+function wrapRequestHandler(mcpServer, schema, wrap) {
+  const lowLevel = mcpServer.server;
+  const setRequestHandler = lowLevel.setRequestHandler.bind(lowLevel);
+  lowLevel.setRequestHandler = (s, handler) => setRequestHandler(s, s === schema ? wrap(handler) : handler);
+}
+
+/**
+ * Build an MCP server bound to one caller.
+ *
+ * @param {object} context - Per-session auth context
+ * @param {object|null} context.sfAuth - { orgId, instanceUrl, sfToken, scope } from
+ *   oauthMiddleware, kept current by the HTTP layer on every request. Null means
+ *   the host's registry orgs (stdio / API-key mode).
+ * @param {object} [context.identity] - Caller identity (identityFromRequest), for the access policy
+ * @param {string} [context.currentOrg] - Session-level registry alias set by switch_org
+ */
+function createServer(context = { sfAuth: null }) {
   const server = new McpServer({
     name: 'stratoforce-ai',
     version: '2.0.0',
   });
 
+  // Access policy: tools/resources the caller's scopes or role don't allow are
+  // disabled — hidden from tools/list and resources/list. Calls to them, and
+  // AccessDeniedError raised inside a tool (own-records checks), come back as
+  // MCP errors rather than isError results. Each call also runs in a scope carrying the tool name, session, cache TTL
+  // and fresh argument, which target() hands down to sfQuery/sfApexRest, and
+  // is counted in /metrics and the audit log when it finishes.
+  const access = resolveAccess(policy, context.identity || { kind: 'local', name: MODE });
+  const callState = (name, args) => ({
+    tool: name,
+    sessionId: context.sessionId,
+    ttl: CACHE_TTLS[name] ?? CACHE_DEFAULT_TTL,
+    fresh: args?.fresh === true,
+    salesforceCalls: [],
+  });
+  // Runs one call in its scope, then counts it in /metrics and the audit log
+  const observed = async (type, name, args, run) => {
+    const state = callState(name, args);
+    const started = Date.now();
+    const record = auditLog.enabled && {
+      ts: new Date(started).toISOString(),
+      type,
+      name,
+      sessionId: context.sessionId || null,
+      identity: auditIdentity(context.identity),
+      org: orgKeyFor(target(args?.org)),
+      args: redactArgs(args || {}),
+    };
+    let outcome = 'ok';
+    let error;
+    try {
+      const result = await callScope.run(state, run);
+      if (result?.isError) {
+        // Tools catch their own errors; only AccessDeniedError is thrown (toolError)
+        error = result.content?.[0]?.text;
+        outcome = 'error';
+      }
+      return result;
+    } catch (err) {
+      outcome = err instanceof AccessDeniedError ? 'denied' : 'error';
+      error = err.message;
+      throw err;
+    } finally {
+      const durationMs = Date.now() - started;
+      mcpRequests.inc({ type, name, outcome });
+      mcpDuration.observe({ type, name }, durationMs / 1000);
+      if (outcome !== 'ok') mcpErrors.inc({ type: errorType(String(error)) });
+      if (record) {
+        auditLog.write({
+          ...record,
+          salesforceCalls: state.salesforceCalls,
+          durationMs,
+          outcome,
+          ...(error && { error: String(error).slice(0, 500) }),
+        });
+      }
+    }
+  };
+  // The SDK refuses a disabled tool with a bare "Tool X disabled" and turns
+  // anything a tool throws into an isError result. Its tools/call handler is
+  // wrapped so a call to a denied tool is audited, counted and refused with the
+  // policy's reason, and a denial raised inside a tool is re-thrown.
+  const deniedTools = new Map(); // name → reason
+  const toolDenials = new WeakMap(); // request extra → AccessDeniedError raised by the tool
+  wrapRequestHandler(server, CallToolRequestSchema, (handler) => async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    if (deniedTools.has(name)) {
+      return observed('tool', name, args, () => { throw new AccessDeniedError(deniedTools.get(name)); });
+    }
+    const result = await handler(request, extra);
+    if (toolDenials.has(extra)) throw toolDenials.get(extra);
+    return result;
+  });
+  // Tools with an OUTPUT_SCHEMAS entry advertise it and return structuredContent
+  const tool = (name, description, inputSchema, cb) => {
+    catalog.tools.add(name);
+    const registered = server.registerTool(name, {
+      description,
+      inputSchema,
+      outputSchema: OUTPUT_SCHEMAS[name],
+    }, (args, extra) => observed('tool', name, args, () => cb(args, extra)).catch((err) => {
+      if (err instanceof AccessDeniedError) toolDenials.set(extra, err);
+      throw err;
+    }));
+    const denied = access.check(name, REQUIRED_SCOPES[name] || 'mcp:read');
+    if (denied) {
+      deniedTools.set(name, denied);
+      registered.disable();
+    }
+    return registered;
+  };
+  // A tool's catch block: failures become isError results, policy denials are
+  // re-thrown for the tools/call wrapper to answer as MCP errors
+  const toolError = (err) => {
+    if (err instanceof AccessDeniedError) throw err;
+    return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+  };
+  // Likewise a disabled fixed-URI resource is refused by the SDK before its
+  // callback, so reads of one are audited and refused here
+  const deniedResources = new Map(); // uri → { name, reason }
+  wrapRequestHandler(server, ReadResourceRequestSchema, (handler) => async (request, extra) => {
+    const { uri } = request.params;
+    const denied = deniedResources.get(URL.canParse(uri) ? new URL(uri).href : uri);
+    if (denied) {
+      return observed('resource', denied.name, { uri }, () => { throw new AccessDeniedError(denied.reason); });
+    }
+    return handler(request, extra);
+  });
+  const resource = (name, ...rest) => {
+    catalog.resources.add(name);
+    const cb = rest.pop();
+    const denied = access.check(name, REQUIRED_SCOPES[name] || 'mcp:read');
+    if (denied && typeof rest[0] === 'string') deniedResources.set(new URL(rest[0]).href, { name, reason: denied });
+    // Template resources get (uri, variables, extra), fixed ones (uri, extra)
+    const registered = server.resource(name, ...rest, (...args) => observed('resource', name, {
+      uri: args[0].href,
+      ...(args.length > 2 && args[1]),
+    }, () => {
+      // The SDK still routes reads to disabled templates
+      if (denied) throw new AccessDeniedError(denied);
+      return cb(...args);
+    }));
+    if (denied) registered.disable();
+    return registered;
+  };
+  // URI template whose list callback adds recent or top records to
+  // resources/list. The SDK calls every template's list and fails the whole
+  // request if one throws, so a denied or failing list contributes nothing.
+  const template = (name, uriTemplate, list) => new ResourceTemplate(uriTemplate, {
+    list: async (extra) => {
+      if (access.check(name, REQUIRED_SCOPES[name] || 'mcp:read')) return { resources: [] };
+      try {
+        return await observed('resource-list', name, {}, () => list(extra));
+      } catch (err) {
+        console.error(`Listing ${name} resources failed: ${err.message}`);
+        return { resources: [] };
+      }
+    },
+  });
+  const prompt = (name, ...rest) => {
+    catalog.prompts.add(name);
+    const cb = rest.pop();
+    return server.prompt(name, ...rest, (args, extra) => observed('prompt', name, args, () => cb(args, extra)));
+  };
+
+  // Record-level restriction for roles limited to their own opportunities
+  const ownRecordsOnly = access.records === 'own';
+  const ownerUserId = () => {
+    if (!isSalesforceId(access.userId, '005')) {
+      throw new AccessDeniedError(`role "${access.role}" only sees its own records, but this caller has no Salesforce user`);
+    }
+    return access.userId;
+  };
+  const ownerFilter = (ownerField = 'OwnerId') => ownRecordsOnly ? soql` AND ${field(ownerField)} = ${ownerUserId()}` : soql``;
+
+  // LastActivityDate < this means stale (thresholds.staleDays)
+  const staleSince = () => dateLiteral(`LAST_N_DAYS:${thresholds.staleDays}`);
+
+  // Every Salesforce call from this server runs under the caller's own session,
+  // or against the org picked per call (org arg) / per session (switch_org)
+  const target = (org) => ({ sfAuth: context.sfAuth, org: org || context.currentOrg, call: callScope.getStore() });
+  const runQuery = (query, org, limits) => sfQuery(query, target(org), limits);
+  const runQueries = (queries, org, limits) => sfQueryBatch(queries, target(org), limits);
+  const runApexRest = (path, method, body, org, options) => sfApexRest(path, method, body, target(org), options);
+
+  const assertOwnsOpportunity = async (id, org) => {
+    if (!ownRecordsOnly) return;
+    const owned = await runQuery(soql`SELECT Id FROM Opportunity WHERE Id = ${id}${ownerFilter()} LIMIT 1`, org);
+    if (!owned.records.length) throw new AccessDeniedError('you can only view your own opportunities');
+  };
+
+  // Report currency: the currency argument, else the caller's own Salesforce
+  // currency, else money.currency (config.js), else the corporate currency.
+  // Locale: the caller's, else money.locale, else the org default.
+  const moneyFor = async (org, currency) => {
+    const t = target(org);
+    const profile = await currencyProfileFor(t);
+    const user = isSalesforceId(access.userId, '005') ? await userCurrencyFor(t, access.userId, profile) : {};
+    return createMoney(profile, {
+      currency: currency || user.currency || config.money.currency,
+      locale: user.locale || config.money.locale,
+    });
+  };
+
+  // CurrencyIsoCode exists only in multi-currency orgs
+  const isoField = (money) => money.multiCurrency ? soql`, CurrencyIsoCode` : soql``;
+
+  // A period argument, validated and labelled with the org's fiscal calendar;
+  // periodCondition() works on the result
+  const periodFor = async (org, value, fallback) => {
+    const period = parsePeriod(value ?? fallback);
+    return { ...period, ...describePeriod(period, await fiscalCalendarFor(target(org))) };
+  };
+
+  // Shared optional argument for per-call org selection
+  const orgParam = {
+    org: z.string().optional().describe('Org alias from list_orgs (default: the session\'s current org)'),
+  };
+
+  // Shared optional argument to bypass the response cache
+  const freshParam = {
+    fresh: z.boolean().optional().describe('Skip cached results and re-query Salesforce (default false)'),
+  };
+
+  // Shared optional argument for the reporting currency
+  const currencyParam = {
+    currency: z.string().regex(/^[A-Za-z]{3}$/, 'must be an ISO 4217 code such as EUR').optional()
+      .describe('Currency to report amounts in, e.g. EUR (default: your Salesforce currency, else the corporate currency)'),
+  };
+
+  // Shared schema for date-range arguments (periods.js)
+  const periodSchema = z.union([
+    z.enum(PERIOD_LITERALS),
+    z.string().describe('A ":n" literal such as LAST_N_FISCAL_QUARTERS:2 or LAST_N_DAYS:90, or a phrase such as "last 90 days"'),
+    z.object({
+      from: z.string().optional().describe('First day, YYYY-MM-DD'),
+      to: z.string().optional().describe('Last day, YYYY-MM-DD'),
+    }),
+  ]);
+
   // ════════════════════════════════════════════
   // RESOURCES — Read-only data endpoints
   // ════════════════════════════════════════════
 
-  server.resource(
+  resource(
     'pipeline-summary',
     'stratoforce://pipeline/summary',
     async (uri) => {
-      const result = await sfQuery(`
-        SELECT StageName, COUNT(Id) cnt, SUM(Amount) total
-        FROM Opportunity WHERE IsClosed = false
-        GROUP BY StageName ORDER BY StageName
-      `);
+      const money = await moneyFor();
+      const [result, totalResult] = await runQueries([
+        soql`
+          SELECT StageName, COUNT(Id) cnt, SUM(Amount) total
+          FROM Opportunity WHERE IsClosed = false${ownerFilter()}
+          GROUP BY StageName ORDER BY StageName
+        `,
+        soql`
+          SELECT COUNT(Id) cnt, SUM(Amount) total
+          FROM Opportunity WHERE IsClosed = false${ownerFilter()}
+        `,
+      ]);
+      money.aggregates(result.records);
+      const [t] = money.aggregates(totalResult.records);
       const stages = result.records.map(r =>
-        `${r.StageName}: ${r.cnt} deals, $${(r.total || 0).toLocaleString()}`
+        `${r.StageName}: ${r.cnt} deals, ${money.format(r.total)}`
       ).join('\n');
-      const totalResult = await sfQuery(`
-        SELECT COUNT(Id) cnt, SUM(Amount) total
-        FROM Opportunity WHERE IsClosed = false
-      `);
-      const t = totalResult.records[0];
       return {
         contents: [{
           uri: uri.href,
-          text: `# Pipeline Summary\nTotal: ${t.cnt} open deals, $${(t.total || 0).toLocaleString()}\n\n## By Stage\n${stages}`,
+          text: `# Pipeline Summary (${money.code})\nTotal: ${t.cnt} open deals, ${money.format(t.total)}\n\n## By Stage\n${stages}`,
           mimeType: 'text/plain',
         }],
       };
     }
   );
 
-  server.resource(
+  resource(
     'active-alerts',
     'stratoforce://alerts/active',
     async (uri) => {
-      const result = await sfQuery(`
+      const result = await runQuery(soql`
         SELECT Id, Name, stratoforce__Alert_Type__c, stratoforce__Severity__c,
                stratoforce__Message__c, CreatedDate
         FROM stratoforce__AI_Alert__c
-        WHERE CreatedDate = LAST_N_DAYS:7
+        WHERE CreatedDate = ${dateLiteral(`LAST_N_DAYS:${thresholds.alertDays}`)}${ownerFilter('stratoforce__Opportunity__r.OwnerId')}
         ORDER BY CreatedDate DESC LIMIT 20
       `);
       const alerts = result.records.map(r =>
@@ -158,25 +1035,27 @@ function createServer() {
       return {
         contents: [{
           uri: uri.href,
-          text: `# Active Revenue Alerts (Last 7 Days)\n\n${alerts || 'No active alerts.'}`,
+          text: `# Active Revenue Alerts (Last ${thresholds.alertDays} Days)\n\n${alerts || 'No active alerts.'}`,
           mimeType: 'text/plain',
         }],
       };
     }
   );
 
-  server.resource(
+  resource(
     'top-deals',
     'stratoforce://pipeline/top-deals',
     async (uri) => {
-      const result = await sfQuery(`
+      const money = await moneyFor();
+      const result = await runQuery(soql`
         SELECT Id, Name, StageName, Amount, CloseDate, Probability,
-               Account.Name, Owner.Name, LastActivityDate
-        FROM Opportunity WHERE IsClosed = false AND Amount > 0
+               Account.Name, Owner.Name, LastActivityDate${isoField(money)}
+        FROM Opportunity WHERE IsClosed = false AND Amount > 0${ownerFilter()}
         ORDER BY Amount DESC LIMIT 15
       `);
+      money.records(result.records);
       const deals = result.records.map(r =>
-        `• ${r.Name} | ${r.StageName} | $${(r.Amount || 0).toLocaleString()} | Close: ${r.CloseDate} | Account: ${r.Account?.Name || 'N/A'} | Owner: ${r.Owner?.Name || 'N/A'}`
+        `• ${r.Name} | ${r.StageName} | ${money.format(r.Amount)} | Close: ${r.CloseDate} | Account: ${r.Account?.Name || 'N/A'} | Owner: ${r.Owner?.Name || 'N/A'}`
       ).join('\n');
       return {
         contents: [{
@@ -188,42 +1067,47 @@ function createServer() {
     }
   );
 
-  server.resource(
+  resource(
     'forecast-snapshot',
     'stratoforce://forecast/current',
     async (uri) => {
-      const committed = await sfQuery(`
-        SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
-        WHERE IsClosed = false AND ForecastCategory = 'Commit'
-      `);
-      const bestCase = await sfQuery(`
-        SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
-        WHERE IsClosed = false AND ForecastCategory = 'Best Case'
-      `);
-      const pipeline = await sfQuery(`
-        SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
-        WHERE IsClosed = false AND ForecastCategory = 'Pipeline'
-      `);
-      const won = await sfQuery(`
-        SELECT SUM(Amount) total FROM Opportunity
-        WHERE IsWon = true AND CloseDate = THIS_QUARTER
-      `);
-      const c = committed.records[0] || {};
-      const b = bestCase.records[0] || {};
-      const p = pipeline.records[0] || {};
-      const w = won.records[0] || {};
+      const money = await moneyFor();
+      const quarter = await periodFor(undefined, 'THIS_FISCAL_QUARTER');
+      const [committed, bestCase, pipeline, won] = await runQueries([
+        soql`
+          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+          WHERE IsClosed = false AND ForecastCategory = 'Commit'${ownerFilter()}
+        `,
+        soql`
+          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+          WHERE IsClosed = false AND ForecastCategory = 'Best Case'${ownerFilter()}
+        `,
+        soql`
+          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+          WHERE IsClosed = false AND ForecastCategory = 'Pipeline'${ownerFilter()}
+        `,
+        soql`
+          SELECT SUM(Amount) total FROM Opportunity
+          WHERE IsWon = true AND ${periodCondition(quarter, 'CloseDate')}${ownerFilter()}
+        `,
+      ]);
+      const [c = {}] = money.aggregates(committed.records);
+      const [b = {}] = money.aggregates(bestCase.records);
+      const [p = {}] = money.aggregates(pipeline.records);
+      const [w = {}] = money.aggregates(won.records);
       return {
         contents: [{
           uri: uri.href,
           text: [
-            `# Forecast Snapshot (Current Quarter)`,
+            `# Forecast Snapshot (${money.code})`,
+            `Period: ${quarter.label}`,
             ``,
-            `Closed Won: $${(w.total || 0).toLocaleString()}`,
-            `Commit: ${c.cnt || 0} deals, $${(c.total || 0).toLocaleString()}`,
-            `Best Case: ${b.cnt || 0} deals, $${(b.total || 0).toLocaleString()}`,
-            `Pipeline: ${p.cnt || 0} deals, $${(p.total || 0).toLocaleString()}`,
+            `Closed Won: ${money.format(w.total)}`,
+            `Commit: ${c.cnt || 0} deals, ${money.format(c.total)}`,
+            `Best Case: ${b.cnt || 0} deals, ${money.format(b.total)}`,
+            `Pipeline: ${p.cnt || 0} deals, ${money.format(p.total)}`,
             ``,
-            `Total Open Pipeline: $${((c.total || 0) + (b.total || 0) + (p.total || 0)).toLocaleString()}`,
+            `Total Open Pipeline: ${money.format((c.total || 0) + (b.total || 0) + (p.total || 0))}`,
           ].join('\n'),
           mimeType: 'text/plain',
         }],
@@ -231,128 +1115,477 @@ function createServer() {
     }
   );
 
+  // Resource: Salesforce API usage — calls by tool/endpoint, daily limits, budgets
+  resource(
+    'api-usage',
+    'stratoforce://system/api-usage',
+    async (uri) => {
+      const current = target();
+      const orgKey = orgKeyFor(current);
+      let limitsError = null;
+      if (apiUsage.limitsAge(orgKey) > LIMITS_POLL_SECONDS * 1000) {
+        await refreshLimits(current).catch(err => { limitsError = err.message; });
+      }
+      // OAuth callers see only their own org; host deployments see every registry org used
+      const orgKeys = context.sfAuth
+        ? [orgKey]
+        : [...new Set([orgKey, ...apiUsage.orgKeys().filter(k => k.startsWith('org:'))])];
+      const throttle = sfHttp.stats();
+      const usage = {
+        session: apiUsage.sessionSnapshot(context.sessionId),
+        orgs: orgKeys.map(k => ({ ...apiUsage.orgSnapshot(k), circuit: throttle[k] || null })),
+        limitsError,
+      };
+      return {
+        contents: [{
+          uri: uri.href,
+          text: JSON.stringify(usage, null, 2),
+          mimeType: 'application/json',
+        }],
+      };
+    }
+  );
+
+  // Templates: one record per URI, so a client can attach a specific deal,
+  // account, rep or competitor as context; each list offers recent or top records
+
+  resource(
+    'deal',
+    template('deal', 'stratoforce://deal/{opportunityId}', async () => {
+      const money = await moneyFor();
+      const result = await runQuery(soql`
+        SELECT Id, Name, StageName, Amount, CloseDate, Account.Name${isoField(money)}
+        FROM Opportunity WHERE IsClosed = false${ownerFilter()}
+        ORDER BY LastModifiedDate DESC LIMIT 25
+      `);
+      money.records(result.records);
+      return {
+        resources: result.records.map(r => ({
+          uri: `stratoforce://deal/${r.Id}`,
+          name: r.Name,
+          description: `${r.Account?.Name || 'No account'} | ${r.StageName} | ${money.format(r.Amount)} | Close: ${r.CloseDate}`,
+          mimeType: 'text/plain',
+        })),
+      };
+    }),
+    { description: 'One opportunity: stage, amount, contacts, recent conversations (recently changed open deals listed)', mimeType: 'text/plain' },
+    async (uri, { opportunityId }) => {
+      const id = sfId(opportunityId, '006');
+      await assertOwnsOpportunity(id);
+      const money = await moneyFor();
+      const [opp, contacts, convs] = await runQueries([
+        soql`
+          SELECT Id, Name, StageName, Amount, CloseDate, Probability, ForecastCategory,
+                 Account.Name, Owner.Name, LastActivityDate, NextStep${isoField(money)}
+          FROM Opportunity WHERE Id = ${id} LIMIT 1
+        `,
+        soql`
+          SELECT Contact.Name, Contact.Title, Role, IsPrimary
+          FROM OpportunityContactRole WHERE OpportunityId = ${id} ORDER BY IsPrimary DESC LIMIT 20
+        `,
+        soql`
+          SELECT stratoforce__Type__c, stratoforce__Date__c, stratoforce__Summary__c
+          FROM stratoforce__Conversation__c
+          WHERE stratoforce__Opportunity__c = ${id} ORDER BY stratoforce__Date__c DESC LIMIT 5
+        `,
+      ]);
+      const [r] = money.records(opp.records);
+      const text = !r ? `No opportunity found: ${id}` : [
+        `# Deal: ${r.Name}`,
+        `Stage: ${r.StageName} | Amount: ${money.format(r.Amount)} | Close: ${r.CloseDate}`,
+        `Probability: ${r.Probability || 0}% | Forecast: ${r.ForecastCategory || 'N/A'}`,
+        `Account: ${r.Account?.Name || 'N/A'} | Owner: ${r.Owner?.Name || 'N/A'}`,
+        `Last Activity: ${r.LastActivityDate || 'None'} | Next Step: ${r.NextStep || 'None'}`,
+        ``,
+        `## Contacts`,
+        contacts.records.map(c => `• ${c.Contact?.Name} (${c.Contact?.Title || 'N/A'}) — ${c.Role || 'N/A'}${c.IsPrimary ? ' ⭐' : ''}`).join('\n') || 'None',
+        ``,
+        `## Recent Conversations`,
+        convs.records.map(c => `• ${c.stratoforce__Date__c} [${c.stratoforce__Type__c}]: ${(c.stratoforce__Summary__c || '').substring(0, 150)}`).join('\n') || 'None',
+      ].join('\n');
+      return { contents: [{ uri: uri.href, text, mimeType: 'text/plain' }] };
+    }
+  );
+
+  resource(
+    'account',
+    template('account', 'stratoforce://account/{accountId}', async () => {
+      const money = await moneyFor();
+      const result = await runQuery(soql`
+        SELECT AccountId, Account.Name, COUNT(Id) cnt, SUM(Amount) total
+        FROM Opportunity WHERE IsClosed = false AND AccountId != null${ownerFilter()}
+        GROUP BY AccountId, Account.Name ORDER BY SUM(Amount) DESC LIMIT 25
+      `);
+      money.aggregates(result.records);
+      return {
+        resources: result.records.map(r => ({
+          uri: `stratoforce://account/${r.AccountId}`,
+          // Aggregate results name relationship fields without the relationship
+          name: r.Name ?? r.AccountId,
+          description: `Open pipeline: ${r.cnt} deals, ${money.format(r.total)}`,
+          mimeType: 'text/plain',
+        })),
+      };
+    }),
+    { description: 'One account: profile, open pipeline, closed won, open deals (accounts with the most open pipeline listed)', mimeType: 'text/plain' },
+    async (uri, { accountId }) => {
+      const id = sfId(accountId, '001');
+      const money = await moneyFor();
+      const [acct, openDeals, won, deals] = await runQueries([
+        soql`SELECT Id, Name, Industry, AnnualRevenue, Owner.Name${isoField(money)} FROM Account WHERE Id = ${id} LIMIT 1`,
+        soql`
+          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+          WHERE AccountId = ${id} AND IsClosed = false${ownerFilter()}
+        `,
+        soql`
+          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+          WHERE AccountId = ${id} AND IsWon = true${ownerFilter()}
+        `,
+        soql`
+          SELECT Id, Name, StageName, Amount, CloseDate, Owner.Name${isoField(money)}
+          FROM Opportunity WHERE AccountId = ${id} AND IsClosed = false${ownerFilter()}
+          ORDER BY Amount DESC NULLS LAST LIMIT 20
+        `,
+      ]);
+      const [a] = money.records(acct.records, ['AnnualRevenue']);
+      const [o = {}] = money.aggregates(openDeals.records);
+      const [w = {}] = money.aggregates(won.records);
+      money.records(deals.records);
+      const text = !a ? `Account not found: ${id}` : [
+        `# Account: ${a.Name} (${money.code})`,
+        `Industry: ${a.Industry || 'N/A'} | Revenue: ${money.format(a.AnnualRevenue)} | Owner: ${a.Owner?.Name || 'N/A'}`,
+        `Open Pipeline: ${o.cnt || 0} deals, ${money.format(o.total)}`,
+        `Closed Won: ${w.cnt || 0} deals, ${money.format(w.total)}`,
+        ``,
+        `## Top Open Deals`,
+        deals.records.map(d => `• ${d.Name} | ${d.StageName} | ${money.format(d.Amount)} | Close: ${d.CloseDate} | Owner: ${d.Owner?.Name || 'N/A'}`).join('\n') || 'None',
+      ].join('\n');
+      return { contents: [{ uri: uri.href, text, mimeType: 'text/plain' }] };
+    }
+  );
+
+  resource(
+    'rep-pipeline',
+    template('rep-pipeline', 'stratoforce://rep/{userId}/pipeline', async () => {
+      const money = await moneyFor();
+      const result = await runQuery(soql`
+        SELECT OwnerId, Owner.Name, COUNT(Id) cnt, SUM(Amount) total
+        FROM Opportunity WHERE IsClosed = false${ownerFilter()}
+        GROUP BY OwnerId, Owner.Name ORDER BY SUM(Amount) DESC LIMIT 25
+      `);
+      money.aggregates(result.records);
+      return {
+        resources: result.records.map(r => ({
+          uri: `stratoforce://rep/${r.OwnerId}/pipeline`,
+          name: `${r.Name ?? r.OwnerId} — pipeline`,
+          description: `${r.cnt} open deals, ${money.format(r.total)}`,
+          mimeType: 'text/plain',
+        })),
+      };
+    }),
+    { description: 'One rep\'s open pipeline by stage, top deals and closed won this fiscal quarter (reps with the most pipeline listed)', mimeType: 'text/plain' },
+    async (uri, { userId }) => {
+      const id = sfId(userId, '005');
+      if (ownRecordsOnly && id.slice(0, 15) !== ownerUserId().slice(0, 15)) {
+        throw new AccessDeniedError('you can only view your own pipeline');
+      }
+      const money = await moneyFor();
+      const quarter = await periodFor(undefined, 'THIS_FISCAL_QUARTER');
+      const [user, stages, won, deals] = await runQueries([
+        soql`SELECT Name FROM User WHERE Id = ${id} LIMIT 1`,
+        soql`
+          SELECT StageName, COUNT(Id) cnt, SUM(Amount) total
+          FROM Opportunity WHERE OwnerId = ${id} AND IsClosed = false
+          GROUP BY StageName ORDER BY StageName
+        `,
+        soql`
+          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+          WHERE OwnerId = ${id} AND IsWon = true AND ${periodCondition(quarter, 'CloseDate')}
+        `,
+        soql`
+          SELECT Id, Name, StageName, Amount, CloseDate, Account.Name${isoField(money)}
+          FROM Opportunity WHERE OwnerId = ${id} AND IsClosed = false
+          ORDER BY Amount DESC NULLS LAST LIMIT 10
+        `,
+      ]);
+      if (!user.records.length) {
+        return { contents: [{ uri: uri.href, text: `No user found: ${id}`, mimeType: 'text/plain' }] };
+      }
+      money.aggregates(stages.records);
+      const [w = {}] = money.aggregates(won.records);
+      money.records(deals.records);
+      const openCount = stages.records.reduce((sum, s) => sum + s.cnt, 0);
+      const openTotal = stages.records.reduce((sum, s) => sum + (s.total || 0), 0);
+      const text = [
+        `# Pipeline: ${user.records[0].Name} (${money.code})`,
+        `Open: ${openCount} deals, ${money.format(openTotal)}`,
+        `Closed Won: ${w.cnt || 0} deals, ${money.format(w.total)} — ${quarter.label}`,
+        ``,
+        `## By Stage`,
+        stages.records.map(s => `${s.StageName}: ${s.cnt} deals, ${money.format(s.total)}`).join('\n') || 'No open deals.',
+        ``,
+        `## Top Deals`,
+        deals.records.map(d => `• ${d.Name} | ${d.StageName} | ${money.format(d.Amount)} | Close: ${d.CloseDate} | Account: ${d.Account?.Name || 'N/A'}`).join('\n') || 'None',
+      ].join('\n');
+      return { contents: [{ uri: uri.href, text, mimeType: 'text/plain' }] };
+    }
+  );
+
+  resource(
+    'competitor',
+    template('competitor', 'stratoforce://competitor/{name}', async () => {
+      const result = await runQuery(soql`
+        SELECT Name, stratoforce__Threat_Level__c
+        FROM stratoforce__Competitor_Intel__c ORDER BY Name LIMIT 50
+      `);
+      return {
+        resources: result.records.map(r => ({
+          uri: `stratoforce://competitor/${encodeURIComponent(r.Name)}`,
+          name: r.Name,
+          description: `Battle card, threat level ${r.stratoforce__Threat_Level__c || 'unknown'}`,
+          mimeType: 'text/plain',
+        })),
+      };
+    }),
+    { description: 'Battle card for one competitor: threat level, win strategy, differentiators, pricing intel', mimeType: 'text/plain' },
+    async (uri, { name }) => {
+      let competitor;
+      try {
+        competitor = decodeURIComponent(name).trim();
+      } catch {
+        throw new Error(`Invalid competitor name in ${uri.href}`);
+      }
+      const [intel, mentions] = await runQueries([
+        soql`
+          SELECT Name, stratoforce__Threat_Level__c, stratoforce__Win_Strategy__c,
+                 stratoforce__Our_Differentiators__c, stratoforce__Pricing_Intel__c
+          FROM stratoforce__Competitor_Intel__c WHERE Name = ${competitor} LIMIT 1
+        `,
+        soql`
+          SELECT COUNT(Id) cnt FROM stratoforce__Conversation_Analysis__c
+          WHERE stratoforce__Competitors_Mentioned__c LIKE ${like(competitor)}${ownerFilter('stratoforce__Opportunity__r.OwnerId')}
+        `,
+      ]);
+      const [r] = intel.records;
+      const text = !r ? `No battle card for "${competitor}".` : [
+        `# Competitor: ${r.Name}`,
+        `Threat Level: ${r.stratoforce__Threat_Level__c || 'Unknown'}`,
+        `Win Strategy: ${r.stratoforce__Win_Strategy__c || 'N/A'}`,
+        `Our Differentiators: ${r.stratoforce__Our_Differentiators__c || 'N/A'}`,
+        `Pricing Intel: ${r.stratoforce__Pricing_Intel__c || 'N/A'}`,
+        ``,
+        `Mentioned in ${mentions.records[0]?.cnt || 0} analyzed conversations`,
+      ].join('\n');
+      return { contents: [{ uri: uri.href, text, mimeType: 'text/plain' }] };
+    }
+  );
+
+  // resources/subscribe: the session joins its current org's poll and gets
+  // notifications/resources/updated (over the GET stream in HTTP mode) until it
+  // unsubscribes or closes
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    const watched = SUBSCRIBABLE[params.uri];
+    if (!watched) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot subscribe to ${params.uri}; subscriptions are available for ${Object.keys(SUBSCRIBABLE).join(', ')}`);
+    }
+    const denied = access.check(watched.name, REQUIRED_SCOPES[watched.name] || 'mcp:read');
+    if (denied) throw new AccessDeniedError(denied);
+    const { org } = target();
+    resourceWatcher.subscribe(context.sessionId, {
+      key: orgKeyFor(target()),
+      uri: params.uri,
+      // Read at poll time: the session's OAuth token is refreshed per request
+      source: () => ({ sfAuth: context.sfAuth, org }),
+      notify: (uri) => server.server.sendResourceUpdated({ uri }),
+    });
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    resourceWatcher.unsubscribe(context.sessionId, params.uri);
+    return {};
+  });
+  server.server.onclose = () => resourceWatcher.drop(context.sessionId);
+
   // ════════════════════════════════════════════
-  // TOOLS — 15 agent-consumable intelligence endpoints
+  // TOOLS — agent-consumable intelligence endpoints
   // ════════════════════════════════════════════
 
   // 1. Pipeline Health
-  server.tool(
+  tool(
     'get_pipeline_health',
     'Comprehensive pipeline health: stage distribution, velocity, win rate, stale deals, forecast coverage',
-    {},
-    async () => {
+    {
+      period: periodSchema.optional().describe('Period for won, lost and win rate (default THIS_FISCAL_QUARTER)'),
+      closingPeriod: periodSchema.optional().describe('Period for deals due to close (default THIS_MONTH)'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ period, closingPeriod, org, currency }) => {
       try {
-        const stageData = await sfQuery(`
-          SELECT StageName, COUNT(Id) cnt, SUM(Amount) total, AVG(Amount) avg_amt
-          FROM Opportunity WHERE IsClosed = false
-          GROUP BY StageName ORDER BY StageName
-        `);
-        const thisMonth = await sfQuery(`
-          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
-          WHERE IsClosed = false AND CloseDate = THIS_MONTH
-        `);
-        const stale = await sfQuery(`
-          SELECT COUNT(Id) cnt FROM Opportunity
-          WHERE IsClosed = false AND LastActivityDate < LAST_N_DAYS:14
-        `);
-        const wonLost = await sfQuery(`
-          SELECT IsWon, COUNT(Id) cnt, SUM(Amount) total
-          FROM Opportunity WHERE IsClosed = true AND CloseDate = THIS_QUARTER
-          GROUP BY IsWon
-        `);
+        const money = await moneyFor(org, currency);
+        const p = await periodFor(org, period, 'THIS_FISCAL_QUARTER');
+        const closing = await periodFor(org, closingPeriod, 'THIS_MONTH');
+        const [stageData, thisMonth, stale, wonLost] = await runQueries([
+          soql`
+            SELECT StageName, COUNT(Id) cnt, SUM(Amount) total, AVG(Amount) avg_amt
+            FROM Opportunity WHERE IsClosed = false${ownerFilter()}
+            GROUP BY StageName ORDER BY StageName
+          `,
+          soql`
+            SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+            WHERE IsClosed = false AND ${periodCondition(closing, 'CloseDate')}${ownerFilter()}
+          `,
+          soql`
+            SELECT COUNT(Id) cnt FROM Opportunity
+            WHERE IsClosed = false AND LastActivityDate < ${staleSince()}${ownerFilter()}
+          `,
+          soql`
+            SELECT IsWon, COUNT(Id) cnt, SUM(Amount) total
+            FROM Opportunity WHERE IsClosed = true AND ${periodCondition(p, 'CloseDate')}${ownerFilter()}
+            GROUP BY IsWon
+          `,
+        ], org);
+        money.aggregates(stageData.records);
+        money.aggregates(wonLost.records);
 
         const stages = stageData.records.map(r =>
-          `  ${r.StageName}: ${r.cnt} deals, $${(r.total || 0).toLocaleString()} (avg $${Math.round(r.avg_amt || 0).toLocaleString()})`
+          `  ${r.StageName}: ${r.cnt} deals, ${money.format(r.total)} (avg ${money.format(r.avg_amt)})`
         ).join('\n');
-        const cm = thisMonth.records[0] || {};
+        const [cm = {}] = money.aggregates(thisMonth.records);
         const staleCount = stale.records[0]?.cnt || 0;
         const wonRec = wonLost.records.find(r => r.IsWon === true);
         const lostRec = wonLost.records.find(r => r.IsWon === false);
-        const winRate = (wonRec && lostRec) ? `${Math.round((wonRec.cnt / (wonRec.cnt + lostRec.cnt)) * 100)}%` : 'N/A';
+        const winRatePct = (wonRec && lostRec) ? Math.round((wonRec.cnt / (wonRec.cnt + lostRec.cnt)) * 100) : null;
+        const winRate = winRatePct === null ? 'N/A' : `${winRatePct}%`;
 
-        return { content: [{ type: 'text', text: [
-          `Pipeline Health Report`,
+        return structured([
+          `Pipeline Health Report (${money.code})`,
           `======================`,
           `\nStage Breakdown:\n${stages}`,
-          `\nClosing This Month: ${cm.cnt || 0} deals, $${(cm.total || 0).toLocaleString()}`,
-          `Stale Deals (14+ days no activity): ${staleCount}`,
-          `Win Rate (This Quarter): ${winRate}`,
-          wonRec ? `Won: ${wonRec.cnt} deals, $${(wonRec.total || 0).toLocaleString()}` : '',
-          lostRec ? `Lost: ${lostRec.cnt} deals, $${(lostRec.total || 0).toLocaleString()}` : '',
-        ].filter(Boolean).join('\n') }] };
+          `\nClosing: ${cm.cnt || 0} deals, ${money.format(cm.total)} — ${closing.label}`,
+          `Stale Deals (${thresholds.staleDays}+ days no activity): ${staleCount}`,
+          `Win Rate: ${winRate} — ${p.label}`,
+          wonRec ? `Won: ${wonRec.cnt} deals, ${money.format(wonRec.total)}` : '',
+          lostRec ? `Lost: ${lostRec.cnt} deals, ${money.format(lostRec.total)}` : '',
+        ].filter(Boolean).join('\n'), {
+          currency: money.code,
+          stages: stageData.records.map(r => ({ stage: r.StageName, count: r.cnt || 0, amount: r.total || 0, averageAmount: r.avg_amt || 0 })),
+          period: p,
+          closingPeriod: closing,
+          closing: toTotals(cm),
+          staleDeals: staleCount,
+          staleDays: thresholds.staleDays,
+          winRate: winRatePct,
+          won: wonRec ? toTotals(wonRec) : null,
+          lost: lostRec ? toTotals(lostRec) : null,
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 2. Deal Details
-  server.tool(
+  tool(
     'get_deal_details',
     'Full deal information: stage, contacts, conversations, competitive intel, activity history',
-    { opportunityId: z.string().describe('Salesforce Opportunity ID (starts with 006)') },
-    async ({ opportunityId }) => {
+    {
+      opportunityId: z.string().describe('Salesforce Opportunity ID (starts with 006)'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ opportunityId, org, currency }) => {
       try {
-        const id = sanitize(opportunityId);
-        const opp = await sfQuery(`
-          SELECT Id, Name, StageName, Amount, CloseDate, Probability,
-                 Account.Name, Owner.Name, Description, LastActivityDate,
-                 NextStep, LeadSource, Type, ForecastCategory
-          FROM Opportunity WHERE Id = '${id}' LIMIT 1
-        `);
-        if (!opp.records.length) return { content: [{ type: 'text', text: `No opportunity found: ${opportunityId}` }] };
-        const r = opp.records[0];
-
-        const contacts = await sfQuery(`
-          SELECT Contact.Name, Contact.Title, Contact.Email, Role, IsPrimary
-          FROM OpportunityContactRole WHERE OpportunityId = '${id}' ORDER BY IsPrimary DESC
-        `);
+        const id = sfId(opportunityId, '006');
+        await assertOwnsOpportunity(id, org);
+        const money = await moneyFor(org, currency);
+        const [opp, contacts, convs] = await runQueries([
+          soql`
+            SELECT Id, Name, StageName, Amount, CloseDate, Probability,
+                   Account.Name, Owner.Name, Description, LastActivityDate,
+                   NextStep, LeadSource, Type, ForecastCategory${isoField(money)}
+            FROM Opportunity WHERE Id = ${id} LIMIT 1
+          `,
+          soql`
+            SELECT Contact.Name, Contact.Title, Contact.Email, Role, IsPrimary
+            FROM OpportunityContactRole WHERE OpportunityId = ${id} ORDER BY IsPrimary DESC
+          `,
+          soql`
+            SELECT stratoforce__Type__c, stratoforce__Date__c, stratoforce__Summary__c, stratoforce__Source_Platform__c
+            FROM stratoforce__Conversation__c
+            WHERE stratoforce__Opportunity__c = ${id} ORDER BY stratoforce__Date__c DESC LIMIT 5
+          `,
+        ], org);
+        if (!opp.records.length) {
+          return structured(`No opportunity found: ${opportunityId}`, { currency: money.code, deal: null, contacts: [], totalContacts: 0, conversations: [] });
+        }
+        const [r] = money.records(opp.records);
+
         const contactList = contacts.records.map(c =>
           `  • ${c.Contact.Name} (${c.Contact.Title || 'N/A'}) — ${c.Role || 'N/A'}${c.IsPrimary ? ' ⭐' : ''}`
         ).join('\n');
-
-        const convs = await sfQuery(`
-          SELECT stratoforce__Type__c, stratoforce__Date__c, stratoforce__Summary__c, stratoforce__Source_Platform__c
-          FROM stratoforce__Conversation__c
-          WHERE stratoforce__Opportunity__c = '${id}' ORDER BY stratoforce__Date__c DESC LIMIT 5
-        `);
         const convList = convs.records.map(c =>
           `  • ${c.stratoforce__Date__c} [${c.stratoforce__Type__c}] via ${c.stratoforce__Source_Platform__c}: ${(c.stratoforce__Summary__c || '').substring(0, 150)}`
         ).join('\n');
 
-        return { content: [{ type: 'text', text: [
+        return structured([
           `Deal: ${r.Name}`,
           `${'='.repeat(40)}`,
-          `Stage: ${r.StageName} | Amount: $${(r.Amount || 0).toLocaleString()} | Close: ${r.CloseDate}`,
+          `Stage: ${r.StageName} | Amount: ${money.format(r.Amount)} | Close: ${r.CloseDate}`,
           `Probability: ${r.Probability || 0}% | Forecast: ${r.ForecastCategory || 'N/A'}`,
           `Account: ${r.Account?.Name || 'N/A'} | Owner: ${r.Owner?.Name || 'N/A'}`,
           `Last Activity: ${r.LastActivityDate || 'None'} | Next Step: ${r.NextStep || 'None'}`,
-          `\nContacts (${contacts.records.length}):\n${contactList || '  None'}`,
+          `\nContacts (${contacts.totalSize}):\n${contactList || '  None'}${truncationNote(contacts, 'contacts')}`,
           `\nRecent Conversations (${convs.records.length}):\n${convList || '  None'}`,
-        ].join('\n') }] };
+        ].join('\n'), {
+          currency: money.code,
+          deal: { ...toDeal(r), nextStep: r.NextStep, leadSource: r.LeadSource, type: r.Type, description: r.Description },
+          contacts: contacts.records.map(toContact),
+          totalContacts: contacts.totalSize,
+          conversations: convs.records.map(c => ({
+            date: c.stratoforce__Date__c ?? null,
+            type: c.stratoforce__Type__c ?? null,
+            platform: c.stratoforce__Source_Platform__c ?? null,
+            summary: c.stratoforce__Summary__c ?? null,
+          })),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 3. Pre-Call Briefing
-  server.tool(
+  tool(
     'get_pre_call_briefing',
     'AI-generated pre-call briefing: stakeholder map, competitive intel, risk factors, talking points, suggested next steps',
-    { opportunityId: z.string().describe('Salesforce Opportunity ID') },
-    async ({ opportunityId }) => {
+    {
+      opportunityId: z.string().describe('Salesforce Opportunity ID'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ opportunityId, org, currency }) => {
       try {
-        const result = await sfApexRest('/stratoforce/precallbriefing', 'POST', {
-          opportunityId: sanitize(opportunityId),
-        });
+        const id = sfId(opportunityId, '006');
+        await assertOwnsOpportunity(id, org);
+        const money = await moneyFor(org, currency);
+        // Generates a briefing without changing records, so it is safe to retry
+        const result = await runApexRest('/stratoforce/precallbriefing', 'POST', {
+          opportunityId: id,
+        }, org, { idempotent: true });
         if (!result || result.error) return { content: [{ type: 'text', text: `Briefing failed: ${result?.error || 'Unknown'}` }], isError: true };
 
         const b = result;
+        // The deal's amount, in its own currency when the endpoint says which
+        const amount = money.convert(b.amount, b.currencyIsoCode);
         const sections = [
           `Pre-Call Briefing: ${b.dealName || 'Deal'}`,
           `${'='.repeat(40)}`,
-          `Stage: ${b.stage || 'N/A'} | Amount: $${(b.amount || 0).toLocaleString()} | Days in Stage: ${b.daysInStage || 0} | Score: ${b.dealScore || 'N/A'}/100`,
+          `Stage: ${b.stage || 'N/A'} | Amount: ${money.format(amount)} | Days in Stage: ${b.daysInStage || 0} | Score: ${b.dealScore || 'N/A'}/100`,
         ];
         if (b.stakeholders?.length) {
           sections.push('\nStakeholders:');
@@ -373,96 +1606,138 @@ function createServer() {
         if (b.suggestedNextStep) sections.push(`\nSuggested Next Step: ${b.suggestedNextStep}`);
         if (b.championStatus) sections.push(`Champion: ${b.championStatus}`);
 
-        return { content: [{ type: 'text', text: sections.join('\n') }] };
+        return structured(sections.join('\n'), {
+          currency: money.code,
+          dealName: b.dealName,
+          stage: b.stage,
+          amount,
+          daysInStage: b.daysInStage,
+          dealScore: b.dealScore,
+          stakeholders: (b.stakeholders || []).map(s => ({ name: s.name, title: s.title, role: s.role, engagementStatus: s.engagementStatus })),
+          competitiveIntel: (b.competitiveIntel || []).map(c => ({ name: c.name, threatLevel: c.threatLevel, mentionCount: c.mentionCount })),
+          riskFactors: b.riskFactors || [],
+          talkingPoints: b.talkingPoints || [],
+          suggestedNextStep: b.suggestedNextStep,
+          championStatus: b.championStatus,
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 4. Risk Scanner
-  server.tool(
+  tool(
     'scan_risks',
     'Proactive risk scan: stale deals, past-due close dates, dark champions, score drops',
-    {},
-    async () => {
+    { ...orgParam, ...currencyParam, ...freshParam },
+    async ({ org, currency }) => {
       try {
-        const stale = await sfQuery(`
-          SELECT Id, Name, StageName, Amount, LastActivityDate, Owner.Name
-          FROM Opportunity WHERE IsClosed = false AND LastActivityDate < LAST_N_DAYS:14
-          ORDER BY Amount DESC NULLS LAST LIMIT 10
-        `);
-        const pastDue = await sfQuery(`
-          SELECT Id, Name, StageName, Amount, CloseDate, Owner.Name
-          FROM Opportunity WHERE IsClosed = false AND CloseDate < TODAY
-          ORDER BY Amount DESC NULLS LAST LIMIT 10
-        `);
+        const money = await moneyFor(org, currency);
+        const [stale, pastDue] = await runQueries([
+          soql`
+            SELECT Id, Name, StageName, Amount, CloseDate, LastActivityDate, Owner.Name${isoField(money)}
+            FROM Opportunity WHERE IsClosed = false AND LastActivityDate < ${staleSince()}${ownerFilter()}
+            ORDER BY Amount DESC NULLS LAST LIMIT 10
+          `,
+          soql`
+            SELECT Id, Name, StageName, Amount, CloseDate, Owner.Name${isoField(money)}
+            FROM Opportunity WHERE IsClosed = false AND CloseDate < TODAY${ownerFilter()}
+            ORDER BY Amount DESC NULLS LAST LIMIT 10
+          `,
+        ], org);
+        money.records(stale.records);
+        money.records(pastDue.records);
         const staleList = stale.records.map(r =>
-          `  🔴 ${r.Name} ($${(r.Amount || 0).toLocaleString()}) — ${r.StageName} | Last: ${r.LastActivityDate || 'Never'} | ${r.Owner?.Name}`
+          `  🔴 ${r.Name} (${money.format(r.Amount)}) — ${r.StageName} | Last: ${r.LastActivityDate || 'Never'} | ${r.Owner?.Name}`
         ).join('\n');
         const pastList = pastDue.records.map(r =>
-          `  ⏰ ${r.Name} ($${(r.Amount || 0).toLocaleString()}) — ${r.StageName} | Due: ${r.CloseDate} | ${r.Owner?.Name}`
+          `  ⏰ ${r.Name} (${money.format(r.Amount)}) — ${r.StageName} | Due: ${r.CloseDate} | ${r.Owner?.Name}`
         ).join('\n');
 
-        return { content: [{ type: 'text', text: [
+        return structured([
           `Pipeline Risk Scan`, `==================`,
-          `\nStale Deals (14+ days): ${stale.records.length}`, staleList || '  ✅ None',
+          `\nStale Deals (${thresholds.staleDays}+ days): ${stale.records.length}`, staleList || '  ✅ None',
           `\nPast Close Date: ${pastDue.records.length}`, pastList || '  ✅ None',
-        ].join('\n') }] };
+        ].join('\n'), {
+          currency: money.code,
+          staleDays: thresholds.staleDays,
+          staleDeals: stale.records.map(toDeal),
+          pastDueDeals: pastDue.records.map(toDeal),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 5. Search Deals
-  server.tool(
+  tool(
     'search_deals',
     'Search deals by name, account, stage, or owner',
     {
       query: z.string().describe('Search term'),
       stage: z.string().optional().describe('Filter by stage name'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
     },
-    async ({ query, stage }) => {
+    async ({ query, stage, org, currency }) => {
       try {
-        const q = sanitize(query);
-        let soql = `SELECT Id, Name, StageName, Amount, CloseDate, Account.Name, Owner.Name
-          FROM Opportunity WHERE (Name LIKE '%${q}%' OR Account.Name LIKE '%${q}%' OR Owner.Name LIKE '%${q}%')`;
-        if (stage) soql += ` AND StageName = '${sanitize(stage)}'`;
-        soql += ` ORDER BY Amount DESC NULLS LAST LIMIT 20`;
-        const result = await sfQuery(soql);
+        const q = like(query);
+        const stageFilter = stage ? soql` AND StageName = ${stage}` : soql``;
+        const money = await moneyFor(org, currency);
+        const result = await runQuery(soql`SELECT Id, Name, StageName, Amount, CloseDate, Account.Name, Owner.Name${isoField(money)}
+          FROM Opportunity WHERE (Name LIKE ${q} OR Account.Name LIKE ${q} OR Owner.Name LIKE ${q})${ownerFilter()}${stageFilter}
+          ORDER BY Amount DESC NULLS LAST LIMIT 20`, org);
+        money.records(result.records);
         const deals = result.records.map(r =>
-          `• ${r.Name} | ${r.StageName} | $${(r.Amount || 0).toLocaleString()} | Close: ${r.CloseDate} | ${r.Account?.Name || 'N/A'}`
+          `• ${r.Name} | ${r.StageName} | ${money.format(r.Amount)} | Close: ${r.CloseDate} | ${r.Account?.Name || 'N/A'}`
         ).join('\n');
-        return { content: [{ type: 'text', text: `Search: "${query}"\n\n${deals || 'No matching deals.'}` }] };
+        return structured(`Search: "${query}"\n\n${deals || 'No matching deals.'}`, {
+          currency: money.code,
+          query,
+          stage: stage ?? null,
+          deals: result.records.map(toDeal),
+          totalSize: result.totalSize,
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 6. Competitive Intel
-  server.tool(
+  tool(
     'get_competitive_intel',
     'Battle card data for a competitor: win/loss record, threat level, differentiators, pricing intel, recent mentions',
-    { competitor: z.string().describe('Competitor name (e.g. "Clari", "Gong")') },
-    async ({ competitor }) => {
+    {
+      competitor: z.string().describe('Competitor name (e.g. "Clari", "Gong")'),
+      ...orgParam,
+      ...freshParam,
+    },
+    async ({ competitor, org }) => {
       try {
-        const c = sanitize(competitor);
-        const intel = await sfQuery(`
-          SELECT Id, Name, stratoforce__Threat_Level__c, stratoforce__Win_Strategy__c,
-                 stratoforce__Our_Differentiators__c, stratoforce__Pricing_Intel__c
-          FROM stratoforce__Competitor_Intel__c
-          WHERE Name LIKE '%${c}%' LIMIT 5
-        `);
-        const mentions = await sfQuery(`
-          SELECT stratoforce__Opportunity__r.Name, stratoforce__Conversation__r.stratoforce__Date__c
-          FROM stratoforce__Conversation_Analysis__c
-          WHERE stratoforce__Competitors_Mentioned__c != null LIMIT 10
-        `);
+        const [intel, mentions] = await runQueries([
+          soql`
+            SELECT Id, Name, stratoforce__Threat_Level__c, stratoforce__Win_Strategy__c,
+                   stratoforce__Our_Differentiators__c, stratoforce__Pricing_Intel__c
+            FROM stratoforce__Competitor_Intel__c
+            WHERE Name LIKE ${like(competitor)} LIMIT 5
+          `,
+          soql`
+            SELECT stratoforce__Opportunity__r.Name, stratoforce__Conversation__r.stratoforce__Date__c
+            FROM stratoforce__Conversation_Analysis__c
+            WHERE stratoforce__Competitors_Mentioned__c != null LIMIT 10
+          `,
+        ], org);
 
         if (!intel.records.length) {
-          return { content: [{ type: 'text', text: `No competitive intel found for "${competitor}". Check spelling or add intel via Battle Cards.` }] };
+          return structured(`No competitive intel found for "${competitor}". Check spelling or add intel via Battle Cards.`, {
+            competitor,
+            battleCards: [],
+            recentMentions: mentions.totalSize,
+          });
         }
 
         const cards = intel.records.map(r => [
@@ -473,30 +1748,48 @@ function createServer() {
           `Pricing Intel: ${r.stratoforce__Pricing_Intel__c || 'N/A'}`,
         ].join('\n')).join('\n\n');
 
-        return { content: [{ type: 'text', text: `Competitive Battle Card\n${'='.repeat(30)}\n\n${cards}\n\nRecent Mentions: ${mentions.totalSize} across conversations` }] };
+        return structured(`Competitive Battle Card\n${'='.repeat(30)}\n\n${cards}\n\nRecent Mentions: ${mentions.totalSize} across conversations`, {
+          competitor,
+          battleCards: intel.records.map(r => ({
+            id: r.Id,
+            name: r.Name,
+            threatLevel: r.stratoforce__Threat_Level__c ?? null,
+            winStrategy: r.stratoforce__Win_Strategy__c ?? null,
+            differentiators: r.stratoforce__Our_Differentiators__c ?? null,
+            pricingIntel: r.stratoforce__Pricing_Intel__c ?? null,
+          })),
+          recentMentions: mentions.totalSize,
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 7. Champion Status
-  server.tool(
+  tool(
     'get_champion_status',
     'Champion health for a deal: engagement score, last contact, seniority, risk of going dark',
-    { opportunityId: z.string().describe('Salesforce Opportunity ID') },
-    async ({ opportunityId }) => {
+    {
+      opportunityId: z.string().describe('Salesforce Opportunity ID'),
+      ...orgParam,
+      ...freshParam,
+    },
+    async ({ opportunityId, org }) => {
       try {
-        const id = sanitize(opportunityId);
-        const contacts = await sfQuery(`
-          SELECT Contact.Name, Contact.Title, Contact.Email, Role, IsPrimary
-          FROM OpportunityContactRole WHERE OpportunityId = '${id}' ORDER BY IsPrimary DESC
-        `);
-        const activities = await sfQuery(`
-          SELECT Subject, ActivityDate, Status, WhoId, Who.Name
-          FROM Task WHERE WhatId = '${id}' AND Status = 'Completed'
-          ORDER BY ActivityDate DESC LIMIT 10
-        `);
+        const id = sfId(opportunityId, '006');
+        await assertOwnsOpportunity(id, org);
+        const [contacts, activities] = await runQueries([
+          soql`
+            SELECT Contact.Name, Contact.Title, Contact.Email, Role, IsPrimary
+            FROM OpportunityContactRole WHERE OpportunityId = ${id} ORDER BY IsPrimary DESC
+          `,
+          soql`
+            SELECT Subject, ActivityDate, Status, WhoId, Who.Name
+            FROM Task WHERE WhatId = ${id} AND Status = 'Completed'
+            ORDER BY ActivityDate DESC LIMIT 10
+          `,
+        ], org);
 
         const primary = contacts.records.find(c => c.IsPrimary);
         const lastActivity = activities.records[0];
@@ -508,87 +1801,143 @@ function createServer() {
           `  • ${c.Contact.Name} (${c.Contact.Title || 'N/A'}) — ${c.Role || 'N/A'}${c.IsPrimary ? ' ⭐ PRIMARY' : ''}`
         ).join('\n');
 
-        const riskLevel = typeof daysSinceContact === 'number'
-          ? (daysSinceContact > 14 ? '🔴 DARK (14+ days)' : daysSinceContact > 7 ? '🟡 AT RISK (7+ days)' : '🟢 Active')
-          : '⚪ Unknown';
-
-        return { content: [{ type: 'text', text: [
+        const { championDarkDays: dark, championAtRiskDays: atRisk } = thresholds;
+        const risk = typeof daysSinceContact === 'number'
+          ? (daysSinceContact > dark ? 'dark' : daysSinceContact > atRisk ? 'at_risk' : 'active')
+          : 'unknown';
+        const riskLevel = {
+          dark: `🔴 DARK (${dark}+ days)`,
+          at_risk: `🟡 AT RISK (${atRisk}+ days)`,
+          active: '🟢 Active',
+          unknown: '⚪ Unknown',
+        }[risk];
+
+        return structured([
           `Champion Status`,
           `===============`,
           `Primary Contact: ${primary ? `${primary.Contact.Name} (${primary.Contact.Title || 'N/A'})` : 'None designated'}`,
           `Days Since Last Contact: ${daysSinceContact}`,
           `Risk Level: ${riskLevel}`,
-          `\nAll Contacts (${contacts.records.length}):\n${contactList || '  None'}`,
+          `\nAll Contacts (${contacts.totalSize}):\n${contactList || '  None'}${truncationNote(contacts, 'contacts')}`,
           `\nRecent Activities:`,
           ...(activities.records.slice(0, 5).map(a => `  • ${a.ActivityDate} — ${a.Subject} (${a.Who?.Name || 'N/A'})`)),
           activities.records.length === 0 ? '  None' : '',
-        ].filter(Boolean).join('\n') }] };
+        ].filter(Boolean).join('\n'), {
+          primaryContact: primary ? toContact(primary) : null,
+          daysSinceContact: typeof daysSinceContact === 'number' ? daysSinceContact : null,
+          riskLevel: risk,
+          contacts: contacts.records.map(toContact),
+          totalContacts: contacts.totalSize,
+          recentActivities: activities.records.slice(0, 5).map(a => ({
+            date: a.ActivityDate ?? null,
+            subject: a.Subject ?? null,
+            contact: a.Who?.Name ?? null,
+          })),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 8. Whitespace Analysis
-  server.tool(
+  tool(
     'get_whitespace_analysis',
     'Upsell/cross-sell opportunities for an account: products owned vs catalog, expansion potential',
-    { accountId: z.string().describe('Salesforce Account ID (starts with 001)') },
-    async ({ accountId }) => {
+    {
+      accountId: z.string().describe('Salesforce Account ID (starts with 001)'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ accountId, org, currency }) => {
       try {
-        const id = sanitize(accountId);
-        const account = await sfQuery(`SELECT Id, Name FROM Account WHERE Id = '${id}' LIMIT 1`);
-        if (!account.records.length) return { content: [{ type: 'text', text: `Account not found: ${accountId}` }] };
-
-        const wonProducts = await sfQuery(`
-          SELECT Name, Amount, CloseDate FROM Opportunity
-          WHERE AccountId = '${id}' AND IsWon = true ORDER BY CloseDate DESC
-        `);
-        const openDeals = await sfQuery(`
-          SELECT Name, StageName, Amount, CloseDate FROM Opportunity
-          WHERE AccountId = '${id}' AND IsClosed = false ORDER BY Amount DESC
-        `);
+        const id = sfId(accountId, '001');
+        const money = await moneyFor(org, currency);
+        const [account, wonProducts, openDeals] = await runQueries([
+          soql`SELECT Id, Name FROM Account WHERE Id = ${id} LIMIT 1`,
+          soql`
+            SELECT Name, Amount, CloseDate${isoField(money)} FROM Opportunity
+            WHERE AccountId = ${id} AND IsWon = true${ownerFilter()} ORDER BY CloseDate DESC
+          `,
+          soql`
+            SELECT Name, StageName, Amount, CloseDate${isoField(money)} FROM Opportunity
+            WHERE AccountId = ${id} AND IsClosed = false${ownerFilter()} ORDER BY Amount DESC
+          `,
+        ], org);
+        if (!account.records.length) {
+          return structured(`Account not found: ${accountId}`, {
+            currency: money.code,
+            account: null,
+            wonDeals: [],
+            openDeals: [],
+            totalWonDeals: 0,
+            totalOpenDeals: 0,
+            wonAmount: 0,
+            expansionPotential: 0,
+            truncated: false,
+          });
+        }
+        money.records(wonProducts.records);
+        money.records(openDeals.records);
 
         const wonList = wonProducts.records.map(r =>
-          `  ✅ ${r.Name} — $${(r.Amount || 0).toLocaleString()} (closed ${r.CloseDate})`
+          `  ✅ ${r.Name} — ${money.format(r.Amount)} (closed ${r.CloseDate})`
         ).join('\n');
         const openList = openDeals.records.map(r =>
-          `  🔄 ${r.Name} — ${r.StageName} — $${(r.Amount || 0).toLocaleString()} (due ${r.CloseDate})`
+          `  🔄 ${r.Name} — ${r.StageName} — ${money.format(r.Amount)} (due ${r.CloseDate})`
         ).join('\n');
         const totalWon = wonProducts.records.reduce((s, r) => s + (r.Amount || 0), 0);
         const totalOpen = openDeals.records.reduce((s, r) => s + (r.Amount || 0), 0);
 
-        return { content: [{ type: 'text', text: [
+        return structured([
           `Whitespace Analysis: ${account.records[0].Name}`,
           `${'='.repeat(40)}`,
-          `\nProducts Owned (${wonProducts.records.length}): $${totalWon.toLocaleString()}`,
+          `\nProducts Owned (${wonProducts.totalSize}): ${money.format(totalWon)}`,
           wonList || '  None',
-          `\nOpen Opportunities (${openDeals.records.length}): $${totalOpen.toLocaleString()}`,
+          `\nOpen Opportunities (${openDeals.totalSize}): ${money.format(totalOpen)}`,
           openList || '  None',
-          `\nExpansion Potential: $${(totalOpen).toLocaleString()} in pipeline`,
-        ].join('\n') }] };
+          `\nExpansion Potential: ${money.format(totalOpen)} in pipeline`,
+          // Totals are summed from the loaded records, so say when they're partial
+          truncationNote(wonProducts, 'won deals'),
+          truncationNote(openDeals, 'open deals'),
+        ].filter(Boolean).join('\n'), {
+          currency: money.code,
+          account: { id: account.records[0].Id, name: account.records[0].Name },
+          wonDeals: wonProducts.records.map(toDeal),
+          openDeals: openDeals.records.map(toDeal),
+          totalWonDeals: wonProducts.totalSize,
+          totalOpenDeals: openDeals.totalSize,
+          wonAmount: totalWon,
+          expansionPotential: totalOpen,
+          truncated: wonProducts.truncated || openDeals.truncated,
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 9. Revenue Alerts
-  server.tool(
+  tool(
     'get_revenue_alerts',
     'Recent revenue intelligence alerts: sentiment shifts, competitor mentions, risk signals, engagement drops',
-    { days: z.number().optional().describe('Look-back period in days (default 7)') },
-    async ({ days }) => {
+    {
+      days: z.number().optional().describe('Look-back period in days (default 7)'),
+      ...orgParam,
+      ...freshParam,
+    },
+    async ({ days, org }) => {
       try {
         // Y-11 / M-4: Bound days param — prevent unbounded SOQL queries
         const d = Math.min(Math.max(parseInt(days) || 7, 1), 365);
-        const alerts = await sfQuery(`
+        const alerts = await runQuery(soql`
           SELECT Id, Name, stratoforce__Alert_Type__c, stratoforce__Severity__c,
                  stratoforce__Message__c, stratoforce__Opportunity__r.Name, CreatedDate
           FROM stratoforce__AI_Alert__c
-          WHERE CreatedDate = LAST_N_DAYS:${d}
+          WHERE CreatedDate = ${dateLiteral(`LAST_N_DAYS:${d}`)}${ownerFilter('stratoforce__Opportunity__r.OwnerId')}
           ORDER BY CreatedDate DESC LIMIT 25
-        `);
+        `, org);
 
         const critical = alerts.records.filter(a => a.stratoforce__Severity__c === 'Critical');
         const warnings = alerts.records.filter(a => a.stratoforce__Severity__c === 'Warning');
@@ -598,7 +1947,7 @@ function createServer() {
           `  [${a.stratoforce__Severity__c}] ${a.stratoforce__Alert_Type__c}: ${a.stratoforce__Message__c} — ${a.stratoforce__Opportunity__r?.Name || 'N/A'}`
         ).join('\n');
 
-        return { content: [{ type: 'text', text: [
+        return structured([
           `Revenue Alerts (Last ${d} Days)`,
           `${'='.repeat(30)}`,
           `Total: ${alerts.records.length} | Critical: ${critical.length} | Warning: ${warnings.length} | Info: ${info.length}`,
@@ -606,36 +1955,57 @@ function createServer() {
           warnings.length ? `\n🟡 Warnings:\n${fmt(warnings)}` : '',
           info.length ? `\nℹ️ Info:\n${fmt(info)}` : '',
           !alerts.records.length ? '\n✅ No alerts — pipeline is clean.' : '',
-        ].filter(Boolean).join('\n') }] };
+        ].filter(Boolean).join('\n'), {
+          days: d,
+          total: alerts.records.length,
+          bySeverity: { critical: critical.length, warning: warnings.length, info: info.length },
+          alerts: alerts.records.map(a => ({
+            id: a.Id,
+            type: a.stratoforce__Alert_Type__c ?? null,
+            severity: a.stratoforce__Severity__c ?? null,
+            message: a.stratoforce__Message__c ?? null,
+            opportunity: a.stratoforce__Opportunity__r?.Name ?? null,
+            createdDate: a.CreatedDate,
+          })),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 10. Win/Loss Analysis
-  server.tool(
+  tool(
     'get_win_loss_analysis',
     'Win/loss patterns: win rate by stage, loss reasons, average deal cycle, trends',
-    { period: z.string().optional().describe('Time period: THIS_QUARTER, LAST_QUARTER, THIS_YEAR (default THIS_QUARTER)') },
-    async ({ period }) => {
+    {
+      period: periodSchema.optional().describe('Period of close dates (default THIS_FISCAL_QUARTER)'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ period, org, currency }) => {
       try {
-        const p = period || 'THIS_QUARTER';
-        const wonByStage = await sfQuery(`
-          SELECT StageName, COUNT(Id) cnt, SUM(Amount) total, AVG(Amount) avg_amt
-          FROM Opportunity WHERE IsWon = true AND CloseDate = ${p}
-          GROUP BY StageName
-        `);
-        const lostByStage = await sfQuery(`
-          SELECT StageName, COUNT(Id) cnt, SUM(Amount) total
-          FROM Opportunity WHERE IsWon = false AND IsClosed = true AND CloseDate = ${p}
-          GROUP BY StageName
-        `);
-        const summary = await sfQuery(`
-          SELECT IsWon, COUNT(Id) cnt, SUM(Amount) total, AVG(Amount) avg_amt
-          FROM Opportunity WHERE IsClosed = true AND CloseDate = ${p}
-          GROUP BY IsWon
-        `);
+        const p = await periodFor(org, period, 'THIS_FISCAL_QUARTER');
+        const money = await moneyFor(org, currency);
+        const [wonByStage, lostByStage, summary] = await runQueries([
+          soql`
+            SELECT StageName, COUNT(Id) cnt, SUM(Amount) total, AVG(Amount) avg_amt
+            FROM Opportunity WHERE IsWon = true AND ${periodCondition(p, 'CloseDate')}${ownerFilter()}
+            GROUP BY StageName
+          `,
+          soql`
+            SELECT StageName, COUNT(Id) cnt, SUM(Amount) total
+            FROM Opportunity WHERE IsWon = false AND IsClosed = true AND ${periodCondition(p, 'CloseDate')}${ownerFilter()}
+            GROUP BY StageName
+          `,
+          soql`
+            SELECT IsWon, COUNT(Id) cnt, SUM(Amount) total, AVG(Amount) avg_amt
+            FROM Opportunity WHERE IsClosed = true AND ${periodCondition(p, 'CloseDate')}${ownerFilter()}
+            GROUP BY IsWon
+          `,
+        ], org);
+        [wonByStage, lostByStage, summary].forEach(result => money.aggregates(result.records));
 
         const wonRec = summary.records.find(r => r.IsWon === true) || { cnt: 0, total: 0, avg_amt: 0 };
         const lostRec = summary.records.find(r => r.IsWon === false) || { cnt: 0, total: 0, avg_amt: 0 };
@@ -643,45 +2013,62 @@ function createServer() {
           ? Math.round((wonRec.cnt / (wonRec.cnt + lostRec.cnt)) * 100)
           : 0;
 
-        return { content: [{ type: 'text', text: [
-          `Win/Loss Analysis (${p})`,
+        const stageTotals = (r) => ({ stage: r.StageName, count: r.cnt || 0, amount: r.total || 0 });
+        return structured([
+          `Win/Loss Analysis (${money.code})`,
           `${'='.repeat(30)}`,
+          `Period: ${p.label}`,
           `Win Rate: ${winRate}%`,
-          `Won: ${wonRec.cnt} deals, $${(wonRec.total || 0).toLocaleString()} (avg $${Math.round(wonRec.avg_amt || 0).toLocaleString()})`,
-          `Lost: ${lostRec.cnt} deals, $${(lostRec.total || 0).toLocaleString()} (avg $${Math.round(lostRec.avg_amt || 0).toLocaleString()})`,
+          `Won: ${wonRec.cnt} deals, ${money.format(wonRec.total)} (avg ${money.format(wonRec.avg_amt)})`,
+          `Lost: ${lostRec.cnt} deals, ${money.format(lostRec.total)} (avg ${money.format(lostRec.avg_amt)})`,
           `\nWon by Final Stage:`,
-          ...wonByStage.records.map(r => `  ✅ ${r.StageName}: ${r.cnt} ($${(r.total || 0).toLocaleString()})`),
+          ...wonByStage.records.map(r => `  ✅ ${r.StageName}: ${r.cnt} (${money.format(r.total)})`),
           `\nLost by Final Stage:`,
-          ...lostByStage.records.map(r => `  ❌ ${r.StageName}: ${r.cnt} ($${(r.total || 0).toLocaleString()})`),
-        ].join('\n') }] };
+          ...lostByStage.records.map(r => `  ❌ ${r.StageName}: ${r.cnt} (${money.format(r.total)})`),
+        ].join('\n'), {
+          currency: money.code,
+          period: p,
+          winRate,
+          won: { ...toTotals(wonRec), averageAmount: wonRec.avg_amt || 0 },
+          lost: { ...toTotals(lostRec), averageAmount: lostRec.avg_amt || 0 },
+          wonByStage: wonByStage.records.map(stageTotals),
+          lostByStage: lostByStage.records.map(stageTotals),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 11. Conversation Insights
-  server.tool(
+  tool(
     'get_conversation_insights',
     'Recent conversation analysis for a deal: sentiment trends, topics discussed, competitor mentions, next steps',
-    { opportunityId: z.string().describe('Salesforce Opportunity ID') },
-    async ({ opportunityId }) => {
+    {
+      opportunityId: z.string().describe('Salesforce Opportunity ID'),
+      ...orgParam,
+      ...freshParam,
+    },
+    async ({ opportunityId, org }) => {
       try {
-        const id = sanitize(opportunityId);
-        const convs = await sfQuery(`
-          SELECT Id, stratoforce__Type__c, stratoforce__Date__c, stratoforce__Duration__c,
-                 stratoforce__Summary__c, stratoforce__Source_Platform__c, stratoforce__Transcript__c
-          FROM stratoforce__Conversation__c
-          WHERE stratoforce__Opportunity__c = '${id}' ORDER BY stratoforce__Date__c DESC LIMIT 10
-        `);
-        const analyses = await sfQuery(`
-          SELECT stratoforce__Sentiment_Score__c, stratoforce__Key_Topics__c,
-                 stratoforce__Competitors_Mentioned__c, stratoforce__Next_Steps__c,
-                 stratoforce__MEDDIC_Score__c, stratoforce__Conversation__r.stratoforce__Date__c
-          FROM stratoforce__Conversation_Analysis__c
-          WHERE stratoforce__Conversation__r.stratoforce__Opportunity__c = '${id}'
-          ORDER BY CreatedDate DESC LIMIT 10
-        `);
+        const id = sfId(opportunityId, '006');
+        await assertOwnsOpportunity(id, org);
+        const [convs, analyses] = await runQueries([
+          soql`
+            SELECT Id, stratoforce__Type__c, stratoforce__Date__c, stratoforce__Duration__c,
+                   stratoforce__Summary__c, stratoforce__Source_Platform__c, stratoforce__Transcript__c
+            FROM stratoforce__Conversation__c
+            WHERE stratoforce__Opportunity__c = ${id} ORDER BY stratoforce__Date__c DESC LIMIT 10
+          `,
+          soql`
+            SELECT stratoforce__Sentiment_Score__c, stratoforce__Key_Topics__c,
+                   stratoforce__Competitors_Mentioned__c, stratoforce__Next_Steps__c,
+                   stratoforce__MEDDIC_Score__c, stratoforce__Conversation__r.stratoforce__Date__c
+            FROM stratoforce__Conversation_Analysis__c
+            WHERE stratoforce__Conversation__r.stratoforce__Opportunity__c = ${id}
+            ORDER BY CreatedDate DESC LIMIT 10
+          `,
+        ], org);
 
         const convList = convs.records.map(c => [
           `  📞 ${c.stratoforce__Date__c} [${c.stratoforce__Type__c}] via ${c.stratoforce__Source_Platform__c}`,
@@ -696,215 +2083,537 @@ function createServer() {
           a.stratoforce__Next_Steps__c ? `  → Next: ${a.stratoforce__Next_Steps__c}` : '',
         ].filter(Boolean).join('\n')).join('\n\n');
 
-        return { content: [{ type: 'text', text: [
+        return structured([
           `Conversation Insights`,
           `=====================`,
           `Total Conversations: ${convs.totalSize}`,
           `\nRecent Conversations:\n${convList || '  None'}`,
           `\nAnalysis:\n${analysisList || '  None'}`,
-        ].join('\n') }] };
+        ].join('\n'), {
+          totalConversations: convs.totalSize,
+          conversations: convs.records.map(c => ({
+            id: c.Id,
+            date: c.stratoforce__Date__c ?? null,
+            type: c.stratoforce__Type__c ?? null,
+            platform: c.stratoforce__Source_Platform__c ?? null,
+            durationMinutes: c.stratoforce__Duration__c ?? null,
+            summary: c.stratoforce__Summary__c ?? null,
+          })),
+          analyses: analyses.records.map(a => ({
+            date: a.stratoforce__Conversation__r?.stratoforce__Date__c ?? null,
+            sentiment: a.stratoforce__Sentiment_Score__c ?? null,
+            meddicScore: a.stratoforce__MEDDIC_Score__c ?? null,
+            topics: a.stratoforce__Key_Topics__c ?? null,
+            competitorsMentioned: a.stratoforce__Competitors_Mentioned__c ?? null,
+            nextSteps: a.stratoforce__Next_Steps__c ?? null,
+          })),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 12. Account Health
-  server.tool(
+  tool(
     'get_account_health',
     'Account health score: open deals, won history, activity recency, conversation sentiment, expansion signals',
-    { accountId: z.string().describe('Salesforce Account ID (starts with 001)') },
-    async ({ accountId }) => {
+    {
+      accountId: z.string().describe('Salesforce Account ID (starts with 001)'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ accountId, org, currency }) => {
       try {
-        const id = sanitize(accountId);
-        const acct = await sfQuery(`
-          SELECT Id, Name, Industry, AnnualRevenue, NumberOfEmployees FROM Account WHERE Id = '${id}' LIMIT 1
-        `);
-        if (!acct.records.length) return { content: [{ type: 'text', text: `Account not found.` }] };
-        const a = acct.records[0];
-
-        const openDeals = await sfQuery(`
-          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
-          WHERE AccountId = '${id}' AND IsClosed = false
-        `);
-        const wonDeals = await sfQuery(`
-          SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
-          WHERE AccountId = '${id}' AND IsWon = true
-        `);
-        const recentActivity = await sfQuery(`
-          SELECT COUNT(Id) cnt FROM Task
-          WHERE AccountId = '${id}' AND CreatedDate = LAST_N_DAYS:30
-        `);
-
-        const o = openDeals.records[0] || {};
-        const w = wonDeals.records[0] || {};
+        const id = sfId(accountId, '001');
+        const money = await moneyFor(org, currency);
+        const [acct, openDeals, wonDeals, recentActivity] = await runQueries([
+          soql`
+            SELECT Id, Name, Industry, AnnualRevenue, NumberOfEmployees${isoField(money)} FROM Account WHERE Id = ${id} LIMIT 1
+          `,
+          soql`
+            SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+            WHERE AccountId = ${id} AND IsClosed = false${ownerFilter()}
+          `,
+          soql`
+            SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity
+            WHERE AccountId = ${id} AND IsWon = true${ownerFilter()}
+          `,
+          soql`
+            SELECT COUNT(Id) cnt FROM Task
+            WHERE AccountId = ${id} AND CreatedDate = ${dateLiteral(`LAST_N_DAYS:${thresholds.accountActivityDays}`)}
+          `,
+        ], org);
+        if (!acct.records.length) {
+          return structured(`Account not found.`, {
+            currency: money.code,
+            account: null,
+            healthScore: null,
+            openPipeline: toTotals(),
+            closedWon: toTotals(),
+            recentActivities: 0,
+            activityDays: thresholds.accountActivityDays,
+            signals: null,
+          });
+        }
+        const [a] = money.records(acct.records, ['AnnualRevenue']);
+
+        const [o = {}] = money.aggregates(openDeals.records);
+        const [w = {}] = money.aggregates(wonDeals.records);
         const act = recentActivity.records[0]?.cnt || 0;
 
-        let healthScore = 50;
-        if (w.cnt > 0) healthScore += 20;
-        if (o.cnt > 0) healthScore += 15;
-        if (act > 5) healthScore += 15;
+        const weights = config.accountHealth;
+        const engaged = act > weights.activeEngagementMinActivities;
+        let healthScore = weights.base;
+        if (w.cnt > 0) healthScore += weights.existingCustomer;
+        if (o.cnt > 0) healthScore += weights.openPipeline;
+        if (engaged) healthScore += weights.activeEngagement;
         healthScore = Math.min(healthScore, 100);
 
-        return { content: [{ type: 'text', text: [
+        return structured([
           `Account Health: ${a.Name}`,
           `${'='.repeat(30)}`,
           `Health Score: ${healthScore}/100`,
-          `Industry: ${a.Industry || 'N/A'} | Revenue: $${(a.AnnualRevenue || 0).toLocaleString()} | Employees: ${a.NumberOfEmployees || 'N/A'}`,
-          `\nOpen Pipeline: ${o.cnt || 0} deals, $${(o.total || 0).toLocaleString()}`,
-          `Closed Won: ${w.cnt || 0} deals, $${(w.total || 0).toLocaleString()}`,
-          `Activities (Last 30 days): ${act}`,
+          `Industry: ${a.Industry || 'N/A'} | Revenue: ${money.format(a.AnnualRevenue)} | Employees: ${a.NumberOfEmployees || 'N/A'}`,
+          `\nOpen Pipeline: ${o.cnt || 0} deals, ${money.format(o.total)}`,
+          `Closed Won: ${w.cnt || 0} deals, ${money.format(w.total)}`,
+          `Activities (Last ${thresholds.accountActivityDays} days): ${act}`,
           `\nSignals:`,
           w.cnt > 0 ? '  ✅ Existing customer' : '  ℹ️ Prospect (no closed won)',
-          act > 5 ? '  ✅ Active engagement' : act > 0 ? '  🟡 Light engagement' : '  🔴 No recent activity',
+          engaged ? '  ✅ Active engagement' : act > 0 ? '  🟡 Light engagement' : '  🔴 No recent activity',
           o.cnt > 0 ? `  🔄 ${o.cnt} open opportunity/ies` : '  ⚪ No open deals',
-        ].join('\n') }] };
+        ].join('\n'), {
+          currency: money.code,
+          account: {
+            id: a.Id,
+            name: a.Name,
+            industry: a.Industry ?? null,
+            annualRevenue: a.AnnualRevenue ?? null,
+            employees: a.NumberOfEmployees ?? null,
+          },
+          healthScore,
+          openPipeline: toTotals(o),
+          closedWon: toTotals(w),
+          recentActivities: act,
+          activityDays: thresholds.accountActivityDays,
+          signals: {
+            existingCustomer: w.cnt > 0,
+            engagement: engaged ? 'active' : act > 0 ? 'light' : 'none',
+            openDeals: o.cnt || 0,
+          },
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 13. Stage Velocity
-  server.tool(
+  tool(
     'get_stage_velocity',
     'Deal velocity analysis: average days per stage, bottleneck identification, conversion rates',
-    {},
-    async () => {
+    {
+      period: periodSchema.optional().describe('Period for the average won deal size (default THIS_FISCAL_QUARTER)'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ period, org, currency }) => {
       try {
-        const history = await sfQuery(`
-          SELECT StageName, AVG(Probability) avg_prob, COUNT(Id) cnt
-          FROM Opportunity WHERE IsClosed = false
-          GROUP BY StageName ORDER BY AVG(Probability) ASC
-        `);
-        const closedWon = await sfQuery(`
-          SELECT AVG(Amount) avg_deal FROM Opportunity
-          WHERE IsWon = true AND CloseDate = THIS_QUARTER
-        `);
+        const money = await moneyFor(org, currency);
+        const p = await periodFor(org, period, 'THIS_FISCAL_QUARTER');
+        const [history, closedWon] = await runQueries([
+          soql`
+            SELECT StageName, AVG(Probability) avg_prob, COUNT(Id) cnt
+            FROM Opportunity WHERE IsClosed = false${ownerFilter()}
+            GROUP BY StageName ORDER BY AVG(Probability) ASC
+          `,
+          soql`
+            SELECT AVG(Amount) avg_deal FROM Opportunity
+            WHERE IsWon = true AND ${periodCondition(p, 'CloseDate')}${ownerFilter()}
+          `,
+        ], org);
 
         const stages = history.records.map(r =>
           `  ${r.StageName}: ${r.cnt} deals (avg probability ${Math.round(r.avg_prob || 0)}%)`
         ).join('\n');
 
-        return { content: [{ type: 'text', text: [
+        const bottlenecks = history.records.filter(r => r.cnt > thresholds.bottleneckDeals);
+        const avgWon = Math.round(money.aggregates(closedWon.records, ['avg_deal'])[0]?.avg_deal || 0);
+
+        return structured([
           `Stage Velocity Analysis`,
           `=======================`,
           `\nCurrent Stage Distribution:\n${stages}`,
-          `\nAvg Won Deal Size (This Quarter): $${Math.round(closedWon.records[0]?.avg_deal || 0).toLocaleString()}`,
+          `\nAvg Won Deal Size: ${money.format(avgWon)} — ${p.label}`,
           `\nBottleneck Indicators:`,
-          ...history.records
-            .filter(r => r.cnt > 5)
-            .map(r => `  ⚠️ ${r.StageName} has ${r.cnt} deals — potential bottleneck`),
-        ].join('\n') }] };
+          ...bottlenecks.map(r => `  ⚠️ ${r.StageName} has ${r.cnt} deals — potential bottleneck`),
+        ].join('\n'), {
+          currency: money.code,
+          period: p,
+          stages: history.records.map(r => ({ stage: r.StageName, count: r.cnt || 0, averageProbability: Math.round(r.avg_prob || 0) })),
+          averageWonDealSize: avgWon,
+          bottleneckThreshold: thresholds.bottleneckDeals,
+          bottlenecks: bottlenecks.map(r => ({ stage: r.StageName, count: r.cnt })),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 14. Team Leaderboard
-  server.tool(
+  tool(
     'get_leaderboard',
     'Sales team performance: deals won, pipeline value, activity counts, ranked by performance',
-    { period: z.string().optional().describe('THIS_QUARTER, LAST_QUARTER, THIS_YEAR') },
-    async ({ period }) => {
+    {
+      period: periodSchema.optional().describe('Period of close dates for closed-won rankings (default THIS_FISCAL_QUARTER)'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ period, org, currency }) => {
       try {
-        const p = period || 'THIS_QUARTER';
-        const won = await sfQuery(`
-          SELECT Owner.Name, COUNT(Id) cnt, SUM(Amount) total
-          FROM Opportunity WHERE IsWon = true AND CloseDate = ${p}
-          GROUP BY Owner.Name ORDER BY SUM(Amount) DESC LIMIT 15
-        `);
-        const pipeline = await sfQuery(`
-          SELECT Owner.Name, COUNT(Id) cnt, SUM(Amount) total
-          FROM Opportunity WHERE IsClosed = false
-          GROUP BY Owner.Name ORDER BY SUM(Amount) DESC LIMIT 15
-        `);
-
+        const p = await periodFor(org, period, 'THIS_FISCAL_QUARTER');
+        const money = await moneyFor(org, currency);
+        const [won, pipeline] = await runQueries([
+          soql`
+            SELECT OwnerId, Owner.Name, COUNT(Id) cnt, SUM(Amount) total
+            FROM Opportunity WHERE IsWon = true AND ${periodCondition(p, 'CloseDate')}${ownerFilter()}
+            GROUP BY OwnerId, Owner.Name ORDER BY SUM(Amount) DESC LIMIT 15
+          `,
+          soql`
+            SELECT OwnerId, Owner.Name, COUNT(Id) cnt, SUM(Amount) total
+            FROM Opportunity WHERE IsClosed = false${ownerFilter()}
+            GROUP BY OwnerId, Owner.Name ORDER BY SUM(Amount) DESC LIMIT 15
+          `,
+        ], org);
+        money.aggregates(won.records);
+        money.aggregates(pipeline.records);
+
+        // Aggregate rows carry a grouped Owner.Name as a flat Name
         const wonList = won.records.map((r, i) =>
-          `  ${i + 1}. ${r.Owner.Name}: ${r.cnt} deals, $${(r.total || 0).toLocaleString()}`
+          `  ${i + 1}. ${r.Name ?? r.OwnerId}: ${r.cnt} deals, ${money.format(r.total)}`
         ).join('\n');
         const pipeList = pipeline.records.map((r, i) =>
-          `  ${i + 1}. ${r.Owner.Name}: ${r.cnt} deals, $${(r.total || 0).toLocaleString()}`
+          `  ${i + 1}. ${r.Name ?? r.OwnerId}: ${r.cnt} deals, ${money.format(r.total)}`
         ).join('\n');
 
-        return { content: [{ type: 'text', text: [
-          `Sales Leaderboard (${p})`,
+        const ranked = (records) => records.map((r, i) => ({ rank: i + 1, ownerId: r.OwnerId, owner: r.Name ?? null, ...toTotals(r) }));
+        return structured([
+          `Sales Leaderboard (${money.code})`,
           `${'='.repeat(30)}`,
+          `Period: ${p.label}`,
           `\n🏆 Closed Won:\n${wonList || '  No wins this period.'}`,
           `\n📊 Open Pipeline:\n${pipeList || '  No open deals.'}`,
-        ].join('\n') }] };
+        ].join('\n'), {
+          currency: money.code,
+          period: p,
+          closedWon: ranked(won.records),
+          openPipeline: ranked(pipeline.records),
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
   // 15. Ask StratoForce (Natural Language → SOQL)
-  server.tool(
+  tool(
     'ask_stratoforce',
     'Natural language query about your revenue data. Ask anything about pipeline, deals, forecasts, or performance.',
-    { question: z.string().describe('Natural language question about revenue data') },
-    async ({ question }) => {
+    {
+      question: z.string().describe('Natural language question about revenue data'),
+      ...orgParam,
+      ...currencyParam,
+      ...freshParam,
+    },
+    async ({ question, org, currency }) => {
       try {
         // Map common questions to SOQL
         const q = question.toLowerCase();
-        let soql, label;
+        const money = await moneyFor(org, currency);
+        let query, label;
 
         if (q.includes('biggest') || q.includes('largest') || q.includes('top deal')) {
-          soql = `SELECT Name, Amount, StageName, Account.Name FROM Opportunity WHERE IsClosed = false ORDER BY Amount DESC LIMIT 5`;
+          query = soql`SELECT Name, Amount, StageName, Account.Name${isoField(money)} FROM Opportunity WHERE IsClosed = false${ownerFilter()} ORDER BY Amount DESC LIMIT 5`;
           label = 'Top 5 Largest Open Deals';
         } else if (q.includes('closing this week') || q.includes('close this week')) {
-          soql = `SELECT Name, Amount, StageName, CloseDate, Owner.Name FROM Opportunity WHERE IsClosed = false AND CloseDate = THIS_WEEK ORDER BY Amount DESC`;
+          query = soql`SELECT Name, Amount, StageName, CloseDate, Owner.Name${isoField(money)} FROM Opportunity WHERE IsClosed = false AND CloseDate = THIS_WEEK${ownerFilter()} ORDER BY Amount DESC`;
           label = 'Deals Closing This Week';
         } else if (q.includes('closing this month') || q.includes('close this month')) {
-          soql = `SELECT Name, Amount, StageName, CloseDate, Owner.Name FROM Opportunity WHERE IsClosed = false AND CloseDate = THIS_MONTH ORDER BY Amount DESC`;
+          query = soql`SELECT Name, Amount, StageName, CloseDate, Owner.Name${isoField(money)} FROM Opportunity WHERE IsClosed = false AND CloseDate = THIS_MONTH${ownerFilter()} ORDER BY Amount DESC`;
           label = 'Deals Closing This Month';
         } else if (q.includes('won') && (q.includes('this quarter') || q.includes('quarter'))) {
-          soql = `SELECT Name, Amount, CloseDate, Account.Name FROM Opportunity WHERE IsWon = true AND CloseDate = THIS_QUARTER ORDER BY Amount DESC`;
-          label = 'Deals Won This Quarter';
+          query = soql`SELECT Name, Amount, CloseDate, Account.Name${isoField(money)} FROM Opportunity WHERE IsWon = true AND CloseDate = THIS_FISCAL_QUARTER${ownerFilter()} ORDER BY Amount DESC`;
+          label = 'Deals Won This Fiscal Quarter';
         } else if (q.includes('lost') && (q.includes('this quarter') || q.includes('quarter'))) {
-          soql = `SELECT Name, Amount, CloseDate, Account.Name FROM Opportunity WHERE IsWon = false AND IsClosed = true AND CloseDate = THIS_QUARTER ORDER BY Amount DESC`;
-          label = 'Deals Lost This Quarter';
+          query = soql`SELECT Name, Amount, CloseDate, Account.Name${isoField(money)} FROM Opportunity WHERE IsWon = false AND IsClosed = true AND CloseDate = THIS_FISCAL_QUARTER${ownerFilter()} ORDER BY Amount DESC`;
+          label = 'Deals Lost This Fiscal Quarter';
         } else if (q.includes('stale') || q.includes('no activity') || q.includes('inactive')) {
-          soql = `SELECT Name, Amount, StageName, LastActivityDate, Owner.Name FROM Opportunity WHERE IsClosed = false AND LastActivityDate < LAST_N_DAYS:14 ORDER BY Amount DESC LIMIT 10`;
-          label = 'Stale Deals (14+ days inactive)';
+          query = soql`SELECT Name, Amount, StageName, LastActivityDate, Owner.Name${isoField(money)} FROM Opportunity WHERE IsClosed = false AND LastActivityDate < ${staleSince()}${ownerFilter()} ORDER BY Amount DESC LIMIT 10`;
+          label = `Stale Deals (${thresholds.staleDays}+ days inactive)`;
         } else if (q.includes('new') && (q.includes('this week') || q.includes('recent'))) {
-          soql = `SELECT Name, Amount, StageName, CreatedDate, Account.Name FROM Opportunity WHERE CreatedDate = THIS_WEEK ORDER BY CreatedDate DESC`;
+          query = soql`SELECT Name, Amount, StageName, CreatedDate, Account.Name${isoField(money)} FROM Opportunity WHERE CreatedDate = THIS_WEEK${ownerFilter()} ORDER BY CreatedDate DESC`;
           label = 'New Deals This Week';
         } else if (q.includes('pipeline') && q.includes('total')) {
-          soql = `SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity WHERE IsClosed = false`;
+          query = soql`SELECT COUNT(Id) cnt, SUM(Amount) total FROM Opportunity WHERE IsClosed = false${ownerFilter()}`;
           label = 'Total Pipeline';
         } else {
-          return { content: [{ type: 'text', text: `I can answer questions about:\n• Biggest/top deals\n• Deals closing this week/month\n• Won/lost deals this quarter\n• Stale/inactive deals\n• New deals this week\n• Total pipeline\n\nTry rephrasing with one of these patterns, or use search_deals for keyword search.` }] };
+          const unanswered = { currency: money.code, question, answered: false, label: null, deals: [], totals: null, totalSize: 0, truncated: false };
+          return structured(`I can answer questions about:\n• Biggest/top deals\n• Deals closing this week/month\n• Won/lost deals this quarter\n• Stale/inactive deals\n• New deals this week\n• Total pipeline\n\nTry rephrasing with one of these patterns, or use search_deals for keyword search.`, unanswered);
         }
 
-        const result = await sfQuery(soql);
+        const result = await runQuery(query, org);
+        // Aggregate answers (cnt/total) are totals, the rest are deal lists
+        const aggregate = result.records[0]?.cnt !== undefined;
+        if (aggregate) money.aggregates(result.records);
+        else money.records(result.records);
         const records = result.records.map(r => {
           const parts = [];
           if (r.Name) parts.push(r.Name);
-          if (r.Amount) parts.push(`$${r.Amount.toLocaleString()}`);
+          if (r.Amount) parts.push(money.format(r.Amount));
           if (r.StageName) parts.push(r.StageName);
           if (r.CloseDate) parts.push(`Close: ${r.CloseDate}`);
           if (r.Account?.Name) parts.push(`Acct: ${r.Account.Name}`);
           if (r.Owner?.Name) parts.push(`Owner: ${r.Owner.Name}`);
           if (r.cnt !== undefined) parts.push(`${r.cnt} deals`);
-          if (r.total !== undefined) parts.push(`$${(r.total || 0).toLocaleString()}`);
+          if (r.total !== undefined) parts.push(money.format(r.total));
           return `  • ${parts.join(' | ')}`;
         }).join('\n');
 
-        return { content: [{ type: 'text', text: `${label}\n${'='.repeat(label.length)}\n\n${records || 'No results.'}` }] };
+        return structured(`${label}\n${'='.repeat(label.length)}\n\n${records || 'No results.'}${truncationNote(result)}`, {
+          currency: money.code,
+          question,
+          answered: true,
+          label,
+          deals: aggregate ? [] : result.records.map(toDeal),
+          totals: aggregate ? toTotals(result.records[0]) : null,
+          totalSize: result.totalSize,
+          truncated: result.truncated,
+        });
       } catch (err) {
-        return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true };
+        return toolError(err);
       }
     }
   );
 
+  // 16. Ingest Conversation
+  tool(
+    'ingest_conversation',
+    'Push a call transcript (plain text, WebVTT or SRT) into StratoForce as a Conversation on a deal, and request its analysis. Re-ingesting the same call is detected by source ID.',
+    {
+      opportunityId: z.string().describe('Salesforce Opportunity ID (starts with 006)'),
+      transcript: z.string().min(1).describe('Transcript text: plain "Speaker: text" lines, WebVTT or SRT'),
+      format: z.enum(['auto', 'text', 'vtt', 'srt']).optional().describe('Transcript format (default: detected)'),
+      date: z.string().describe('Call date (YYYY-MM-DD)'),
+      platform: z.string().describe('Source platform (e.g. "Zoom", "Gong", "Teams")'),
+      participants: z.array(z.string()).optional().describe('Participant names; speakers found in the transcript are added'),
+      type: z.string().optional().describe('Conversation type (default "Call")'),
+      sourceId: z.string().max(255).optional().describe('ID of the call on the source platform, used to skip re-ingestion (default: a hash of the deal, date and transcript)'),
+      ...orgParam,
+    },
+    async ({ opportunityId, transcript, format = 'auto', date, platform, participants = [], type = 'Call', sourceId, org }) => {
+      try {
+        const id = sfId(opportunityId, '006');
+        const day = isoDate(date).text;
+        await assertOwnsOpportunity(id, org);
+        const parsed = parseTranscript(transcript, format);
+        const fields = conversationFields({ opportunityId: id, date: day, platform, type, participants, sourceId }, parsed);
+
+        const findExisting = () => runQuery(soql`
+          SELECT Id, stratoforce__Date__c FROM stratoforce__Conversation__c
+          WHERE stratoforce__Source_Id__c = ${fields.stratoforce__Source_Id__c} LIMIT 1
+        `, org);
+        const participantList = () => (fields.stratoforce__Participants__c ? fields.stratoforce__Participants__c.split('; ') : []);
+        const alreadyIngested = (existing) => structured(
+          `Already ingested: Conversation ${existing.Id} (${existing.stratoforce__Date__c}) has source ID ${fields.stratoforce__Source_Id__c}. Nothing was created.`,
+          {
+            status: 'duplicate',
+            conversationId: existing.Id,
+            opportunityId: id,
+            sourceId: fields.stratoforce__Source_Id__c,
+            format: null,
+            segments: null,
+            durationMinutes: null,
+            participants: participantList(),
+            analysis: null,
+            analysisError: null,
+            transcriptTruncated: false,
+          }
+        );
+
+        const existing = await findExisting();
+        if (existing.records.length) return alreadyIngested(existing.records[0]);
+
+        let conversationId;
+        try {
+          conversationId = await sfCreate('stratoforce__Conversation__c', fields, target(org));
+        } catch (err) {
+          // Source_Id__c marked Unique: a concurrent ingest of the same call won
+          if (err.errorCode !== 'DUPLICATE_VALUE') throw err;
+          const winner = await findExisting();
+          if (!winner.records.length) throw err;
+          return alreadyIngested(winner.records[0]);
+        }
+
+        // Analysis runs in the package where its Apex endpoint is deployed
+        let analysis = 'requested';
+        let analysisError = null;
+        try {
+          await runApexRest('/stratoforce/analyzeconversation', 'POST', { conversationId }, org);
+        } catch (err) {
+          analysis = err.status === 404 ? 'unavailable' : 'failed';
+          if (analysis === 'failed') analysisError = err.message;
+        }
+        const analysisText = {
+          requested: 'requested',
+          unavailable: 'not available in this org',
+          failed: `not started — ${analysisError}`,
+        }[analysis];
+
+        const truncated = fields.stratoforce__Transcript__c.length < formatTranscript(parsed.segments).length;
+        return structured([
+          `Conversation Ingested`,
+          `=====================`,
+          `Conversation: ${conversationId}`,
+          `Opportunity: ${id} | Date: ${day} | Platform: ${platform} | Type: ${type}`,
+          `Format: ${parsed.format} | Segments: ${parsed.segments.length} | Duration: ${fields.stratoforce__Duration__c ?? 'N/A'}min`,
+          `Participants: ${fields.stratoforce__Participants__c || 'None identified'}`,
+          `Source ID: ${fields.stratoforce__Source_Id__c}`,
+          `Analysis: ${analysisText}`,
+          truncated ? `⚠️ Transcript was longer than the field allows and was stored truncated.` : '',
+        ].filter(Boolean).join('\n'), {
+          status: 'created',
+          conversationId,
+          opportunityId: id,
+          sourceId: fields.stratoforce__Source_Id__c,
+          format: parsed.format,
+          segments: parsed.segments.length,
+          durationMinutes: fields.stratoforce__Duration__c,
+          participants: participantList(),
+          analysis,
+          analysisError,
+          transcriptTruncated: truncated,
+        });
+      } catch (err) {
+        return toolError(err);
+      }
+    }
+  );
+
+  // 17. Deal Score
+  tool(
+    'score_deal',
+    'Explainable 0–100 deal score from stage age, activity recency, contact coverage, primary contact, close-date slips, conversation sentiment and MEDDIC, with a per-factor breakdown and the top reasons it is low',
+    {
+      opportunityId: z.string().describe('Salesforce Opportunity ID (starts with 006)'),
+      ...orgParam,
+      ...freshParam,
+    },
+    async ({ opportunityId, org }) => {
+      try {
+        const id = sfId(opportunityId, '006');
+        await assertOwnsOpportunity(id, org);
+        const [opp, contactRoles, history, analyses] = await runQueries([
+          soql`
+            SELECT Id, Name, StageName, CloseDate, IsClosed, CreatedDate, LastActivityDate
+            FROM Opportunity WHERE Id = ${id} LIMIT 1
+          `,
+          soql`
+            SELECT Contact.Name, Role, IsPrimary
+            FROM OpportunityContactRole WHERE OpportunityId = ${id}
+          `,
+          soql`
+            SELECT StageName, CloseDate, CreatedDate
+            FROM OpportunityHistory WHERE OpportunityId = ${id} ORDER BY CreatedDate ASC
+          `,
+          soql`
+            SELECT stratoforce__Sentiment_Score__c, stratoforce__MEDDIC_Score__c
+            FROM stratoforce__Conversation_Analysis__c
+            WHERE stratoforce__Conversation__r.stratoforce__Opportunity__c = ${id}
+            ORDER BY CreatedDate DESC LIMIT 10
+          `,
+        ], org);
+        if (!opp.records.length) {
+          return structured(`No opportunity found: ${opportunityId}`, { opportunity: null, score: null, factors: [], skipped: [], reasons: [] });
+        }
+        const opportunity = opp.records[0];
+
+        const result = scoreDeal(
+          { opportunity, contactRoles: contactRoles.records, history: history.records, analyses: analyses.records },
+          { ...config.dealScore, staleDays: thresholds.staleDays }
+        );
+        const closedNote = opportunity.IsClosed ? `\n\nNote: this deal is closed (${opportunity.StageName}); the score reflects its final state.` : '';
+        return structured(`${formatDealScore(opportunity.Name, result)}${closedNote}`, {
+          opportunity: { id: opportunity.Id, name: opportunity.Name, stage: opportunity.StageName ?? null, isClosed: opportunity.IsClosed === true },
+          ...result,
+        });
+      } catch (err) {
+        return toolError(err);
+      }
+    }
+  );
+
+  // ════════════════════════════════════════════
+  // ORGS — Multi-org selection
+  // ════════════════════════════════════════════
+
+  tool(
+    'list_orgs',
+    'List the Salesforce orgs this server can query, with the default and the session\'s current org',
+    {},
+    async () => {
+      if (context.sfAuth) {
+        const { orgId, instanceUrl } = context.sfAuth;
+        return structured(`Connected Org\n=============\n  • ${orgId} (${instanceUrl}) ← current\n\nThis OAuth session is bound to your own org.`, {
+          orgs: [{ alias: orgId, instanceUrl, isDefault: true, isCurrent: true }],
+          current: orgId,
+          oauthSession: true,
+        });
+      }
+      const current = context.currentOrg || orgRegistry.defaultAlias;
+      const list = orgRegistry.list();
+      const orgs = list.map(o =>
+        `  • ${o.alias}${o.label !== o.alias ? ` — ${o.label}` : ''} [${o.type}]${o.instanceUrl ? ` ${o.instanceUrl}` : ''}${o.isDefault ? ' (default)' : ''}${o.alias === current ? ' ← current' : ''}`
+      ).join('\n');
+      return structured(`Available Orgs\n==============\n${orgs}\n\nPass org: "<alias>" to any tool, or use switch_org to change the session default.`, {
+        orgs: list.map(o => ({
+          alias: o.alias,
+          label: o.label,
+          type: o.type,
+          instanceUrl: o.instanceUrl,
+          isDefault: Boolean(o.isDefault),
+          isCurrent: o.alias === current,
+        })),
+        current: current ?? null,
+        oauthSession: false,
+      });
+    }
+  );
+
+  tool(
+    'switch_org',
+    'Set the current org for this session. Tools called without an org argument will query it.',
+    { org: z.string().describe('Org alias from list_orgs') },
+    async ({ org }) => {
+      if (context.sfAuth) {
+        return { content: [{ type: 'text', text: 'Org selection is not available for OAuth sessions — this session is bound to your own org.' }], isError: true };
+      }
+      if (!orgRegistry.has(org)) {
+        return { content: [{ type: 'text', text: `Unknown org "${org}". Available orgs: ${orgRegistry.list().map(o => o.alias).join(', ')}` }], isError: true };
+      }
+      context.currentOrg = org;
+      return structured(`Current org set to ${org}.`, { currentOrg: org });
+    }
+  );
+
   // ════════════════════════════════════════════
   // PROMPTS
   // ════════════════════════════════════════════
 
-  server.prompt('pipeline_review', 'Weekly pipeline review — health, risks, focus areas', {}, () => ({
+  prompt('pipeline_review', 'Weekly pipeline review — health, risks, focus areas', {}, () => ({
     messages: [{
       role: 'user',
       content: {
@@ -914,7 +2623,7 @@ function createServer() {
     }],
   }));
 
-  server.prompt('deal_coaching', 'Deep-dive deal coaching with actionable recommendations', {
+  prompt('deal_coaching', 'Deep-dive deal coaching with actionable recommendations', {
     opportunityId: z.string().describe('Opportunity ID'),
   }, ({ opportunityId }) => ({
     messages: [{
@@ -926,7 +2635,7 @@ function createServer() {
     }],
   }));
 
-  server.prompt('forecast_prep', 'Forecast call preparation with commit/best case/upside breakdown', {}, () => ({
+  prompt('forecast_prep', 'Forecast call preparation with commit/best case/upside breakdown', {}, () => ({
     messages: [{
       role: 'user',
       content: {
@@ -936,7 +2645,7 @@ function createServer() {
     }],
   }));
 
-  server.prompt('account_planning', 'Strategic account planning with whitespace and expansion analysis', {
+  prompt('account_planning', 'Strategic account planning with whitespace and expansion analysis', {
     accountId: z.string().describe('Account ID'),
   }, ({ accountId }) => ({
     messages: [{
@@ -954,7 +2663,7 @@ function createServer() {
 // ── Transport: stdio or HTTP ──
 
 if (MODE === 'stdio') {
-  const server = createServer();
+  const server = createServer({ sfAuth: null, identity: { kind: 'local', name: 'stdio' }, sessionId: 'stdio' });
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('StratoForce AI MCP Server v2.0 running on stdio');
@@ -962,47 +2671,120 @@ if (MODE === 'stdio') {
   const app = express();
   app.use(express.json());
 
+  // Fill the catalog before the first session connects
+  createServer({ sfAuth: null, identity: { kind: 'local', name: 'catalog' } });
+
+  // Prometheus scrape endpoint; METRICS_TOKEN, when set, is required as a Bearer token
+  app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !bearerMatches(req.headers.authorization, token)) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or missing metrics token' });
+    }
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+  });
+
   // Health check
   app.get('/health', (req, res) => {
-    res.json({ status: 'ok', name: 'stratoforce-ai', version: '2.0.0', tools: 15, resources: 4, prompts: 4 });
+    // Unauthenticated: only host registry orgs are listed by name, never OAuth customers
+    const circuits = Object.entries(sfHttp.stats());
+    res.json({
+      status: 'ok', name: 'stratoforce-ai', version: '2.0.0',
+      tools: catalog.tools.size, resources: catalog.resources.size, prompts: catalog.prompts.size,
+      sessions: sessions.stats(),
+      cache: responseCache.stats(),
+      subscriptions: resourceWatcher.stats(),
+      salesforce: Object.fromEntries(circuits.filter(([k]) => k.startsWith('org:'))),
+      oauthOrgCircuitsOpen: circuits.filter(([k, v]) => !k.startsWith('org:') && v.breaker !== 'closed').length,
+      apiUsage: apiUsage.summary(),
+    });
   });
 
   // API key middleware (optional — for pre-OAuth deployments)
   const apiKeyAuth = (req, res, next) => {
-    if (!API_KEY) return next(); // Startup check (above) already failed-fast if not OAuth/stdio
+    if (!API_KEYS.size) return next(); // Startup check (above) already failed-fast if not OAuth/stdio
     const provided = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
-    if (provided !== API_KEY) {
+    const name = provided && API_KEYS.get(provided);
+    if (!name) {
       return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or missing API key' });
     }
+    req.apiKeyName = name;
     next();
   };
 
-  // Session management
-  const transports = {};
+  // Session management (sessions.js): sessionId → { transport, context },
+  // with idle eviction and caps on open sessions
+  const sessions = createSessionRegistry(sessionOptionsFromEnv());
+  const EVENT_BUFFER = parseInt(process.env.MCP_EVENT_BUFFER) || 100;
+
+  metrics.gauge('stratoforce_sessions_active', 'Open MCP sessions (Streamable HTTP transports)', [], () => [[{}, sessions.size]]);
+  metrics.counter('stratoforce_sessions_evicted_total', 'Sessions closed after idling past MCP_SESSION_IDLE_MINUTES', [], () => [[{}, sessions.stats().evicted]]);
+  metrics.counter('stratoforce_sessions_rejected_total', 'New sessions refused by MCP_MAX_SESSIONS or MCP_MAX_SESSIONS_PER_IDENTITY', [], () => [[{}, sessions.stats().rejected]]);
+
+  // Closing the transport fires its onclose, which drops the session
+  const { idleTimeoutSeconds } = sessions.stats();
+  if (idleTimeoutSeconds) {
+    setInterval(() => {
+      for (const [sid, session] of sessions.idle()) {
+        console.log(`Session idle, closing: ${sid}`);
+        session.transport.close().catch(err => console.error(`Closing idle session ${sid} failed: ${err.message}`));
+      }
+    }, Math.min(60, Math.max(1, idleTimeoutSeconds / 2)) * 1000).unref();
+  }
+
+  // Refresh the session's SF credentials from this request (access tokens rotate
+  // on refresh). A session stays pinned to the caller that opened it, since its
+  // tool list and record filters were built for that caller's access.
+  const bindSessionAuth = (sessionId, req, res) => {
+    const context = sessions.get(sessionId)?.context;
+    if (!context) return true;
+    if (identityKey(context.identity) !== identityKey(identityFromRequest(req))) {
+      res.status(403).json({
+        jsonrpc: '2.0',
+        error: { code: -32000, message: 'Forbidden: session belongs to a different caller' },
+        id: null,
+      });
+      return false;
+    }
+    if (req.sfAuth) context.sfAuth = req.sfAuth;
+    return true;
+  };
+
+  // Pass a request to its session's transport, counting it as in flight until
+  // the response closes (GET streams stay open for the life of the stream)
+  const forward = async (sessionId, req, res, body) => {
+    res.on('close', sessions.begin(sessionId));
+    await sessions.get(sessionId).transport.handleRequest(req, res, body);
+  };
 
   const handlePost = async (req, res) => {
     const sessionId = req.headers['mcp-session-id'];
 
     try {
-      let transport;
-      if (sessionId && transports[sessionId]) {
-        transport = transports[sessionId];
+      if (sessionId && sessions.has(sessionId)) {
+        if (!bindSessionAuth(sessionId, req, res)) return;
+        await forward(sessionId, req, res, req.body);
+        return;
       } else if (!sessionId && isInitializeRequest(req.body)) {
-        transport = new StreamableHTTPServerTransport({
+        const context = { sfAuth: req.sfAuth || null, identity: identityFromRequest(req) };
+        sessions.admit(identityKey(context.identity));
+        const transport = new StreamableHTTPServerTransport({
           sessionIdGenerator: () => randomUUID(),
+          // Lets clients resume a dropped SSE stream with Last-Event-ID
+          eventStore: createEventStore({ maxEvents: EVENT_BUFFER }),
           onsessioninitialized: (sid) => {
-            transports[sid] = transport;
-            console.log(`Session initialized: ${sid}`);
+            sessions.add(sid, { transport, context }, identityKey(context.identity));
+            context.sessionId = sid;
+            console.log(`Session initialized: ${sid}${context.sfAuth ? ` (org ${context.sfAuth.orgId})` : ''}`);
           },
         });
         transport.onclose = () => {
           const sid = transport.sessionId;
-          if (sid && transports[sid]) {
-            delete transports[sid];
+          if (sid && sessions.remove(sid)) {
+            apiUsage.forgetSession(sid);
             console.log(`Session closed: ${sid}`);
           }
         };
-        const server = createServer();
+        const server = createServer(context);
         await server.connect(transport);
         await transport.handleRequest(req, res, req.body);
         return;
@@ -1013,8 +2795,14 @@ if (MODE === 'stdio') {
           id: null,
         });
       }
-      await transport.handleRequest(req, res, req.body);
     } catch (error) {
+      if (error instanceof SessionLimitError) {
+        return res.status(error.status).json({
+          jsonrpc: '2.0',
+          error: { code: -32000, message: error.message },
+          id: req.body?.id ?? null,
+        });
+      }
       console.error('MCP request error:', error);
       if (!res.headersSent) {
         res.status(500).json({
@@ -1028,18 +2816,20 @@ if (MODE === 'stdio') {
 
   const handleGet = async (req, res) => {
     const sessionId = req.headers['mcp-session-id'];
-    if (!sessionId || !transports[sessionId]) {
+    if (!sessionId || !sessions.has(sessionId)) {
       return res.status(400).send('Invalid or missing session ID');
     }
-    await transports[sessionId].handleRequest(req, res);
+    if (!bindSessionAuth(sessionId, req, res)) return;
+    await forward(sessionId, req, res);
   };
 
   const handleDelete = async (req, res) => {
     const sessionId = req.headers['mcp-session-id'];
-    if (!sessionId || !transports[sessionId]) {
+    if (!sessionId || !sessions.has(sessionId)) {
       return res.status(400).send('Invalid or missing session ID');
     }
-    await transports[sessionId].handleRequest(req, res);
+    if (!bindSessionAuth(sessionId, req, res)) return;
+    await forward(sessionId, req, res);
   };
 
   // CORS for remote clients
@@ -1048,7 +2838,7 @@ if (MODE === 'stdio') {
   app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, mcp-session-id, x-api-key, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, mcp-session-id, x-api-key, Authorization, Last-Event-ID');
     if (req.method === 'OPTIONS') return res.sendStatus(204);
     next();
   });
@@ -1057,9 +2847,12 @@ if (MODE === 'stdio') {
   if (OAUTH_ENABLED) {
     app.get('/.well-known/oauth-protected-resource', handleResourceMetadata);
     app.get('/.well-known/oauth-authorization-server', handleServerMetadata);
+    app.post('/oauth/register', handleRegister);
     app.get('/oauth/authorize', handleAuthorize);
     app.get('/oauth/callback', handleCallback);
     app.post('/oauth/token', express.urlencoded({ extended: false }), handleToken);
+    app.post('/oauth/revoke', express.urlencoded({ extended: false }), handleRevoke);
+    app.post('/oauth/introspect', express.urlencoded({ extended: false }), handleIntrospect);
     
     // MCP routes with OAuth auth
     app.post('/mcp', oauthMiddleware, handlePost);
@@ -1076,8 +2869,9 @@ if (MODE === 'stdio') {
     console.log(`\n🔥 StratoForce AI MCP Server v2.0`);
     console.log(`   Mode: HTTP (Streamable HTTP transport)`);
     console.log(`   Port: ${PORT}`);
-    console.log(`   Auth: ${OAUTH_ENABLED ? 'OAuth 2.1 (PKCE)' : API_KEY ? 'API Key required' : 'Open access'}`);
-    console.log(`   Tools: 15 | Resources: 4 | Prompts: 4`);
+    console.log(`   Auth: ${OAUTH_ENABLED ? 'OAuth 2.1 (PKCE)' : API_KEYS.size ? `API Key required (${API_KEYS.size} key${API_KEYS.size > 1 ? 's' : ''})` : 'Open access'}`);
+    console.log(`   Tools: ${catalog.tools.size} | Resources: ${catalog.resources.size} | Prompts: ${catalog.prompts.size}`);
+    if (!OAUTH_ENABLED) console.log(`   Orgs: ${orgRegistry.list().map(o => o.alias).join(', ')} (default ${orgRegistry.defaultAlias})`);
     if (OAUTH_ENABLED) console.log(`   OAuth: ${OAUTH_CONFIG.issuer}/oauth/authorize`);
     console.log(`   Health: http://localhost:${PORT}/health`);
     console.log(`   MCP:    http://localhost:${PORT}/mcp\n`);
@@ -1085,9 +2879,9 @@ if (MODE === 'stdio') {
 
   process.on('SIGINT', async () => {
     console.log('\nShutting down...');
-    for (const sid in transports) {
-      try { await transports[sid].close(); } catch {}
-      delete transports[sid];
+    for (const sid of sessions.ids()) {
+      try { await sessions.get(sid).transport.close(); } catch {}
+      sessions.remove(sid);
     }
     process.exit(0);
   });
@@ -0,0 +1,186 @@
+/**
+ * StratoForce AI — HTTP Session Lifecycle
+ *
+ * Bookkeeping for Streamable HTTP sessions, so abandoned sessions (and their
+ * McpServer instances) don't pile up:
+ *
+ *   - Idle eviction: a session with no request in flight for idleTimeoutMs is
+ *     closed. An open GET stream counts as in flight, so clients that only
+ *     listen for notifications are kept.
+ *   - maxSessions caps open sessions server-wide; maxPerIdentity caps them per
+ *     caller (API key, or OAuth org + user). Over either, admit() throws a
+ *     SessionLimitError that the HTTP layer returns as-is.
+ *
+ * createEventStore() gives each session a bounded replay buffer for the SDK's
+ * resumability support: a client that loses its SSE stream reconnects with
+ * Last-Event-ID and receives what it missed.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+// ── Errors ──
+
+/**
+ * A new session refused by a cap. status is the HTTP status to answer with.
+ */
+class SessionLimitError extends Error {
+  constructor(message, { status, reason }) {
+    super(message);
+    this.name = 'SessionLimitError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+// ── Registry ──
+
+/**
+ * Create the session registry. Entries hold whatever the HTTP layer needs
+ * (transport, context) plus the owner's identity key.
+ */
+function createSessionRegistry({ maxSessions = 1000, maxPerIdentity = 20, idleTimeoutMs = 30 * 60 * 1000 } = {}) {
+  const sessions = new Map(); // sessionId → { ...entry, identityKey, lastSeen, inflight }
+  let evicted = 0;
+  let rejected = 0;
+
+  const countFor = (identityKey) => {
+    let n = 0;
+    for (const s of sessions.values()) if (s.identityKey === identityKey) n++;
+    return n;
+  };
+
+  return {
+    /** Throw SessionLimitError if a new session for this caller would exceed a cap. */
+    admit(identityKey) {
+      if (maxSessions && sessions.size >= maxSessions) {
+        rejected++;
+        throw new SessionLimitError(`Server is at its limit of ${maxSessions} open sessions — close unused sessions or try again later`, { status: 503, reason: 'server' });
+      }
+      if (maxPerIdentity && countFor(identityKey) >= maxPerIdentity) {
+        rejected++;
+        throw new SessionLimitError(`Too many open sessions for this caller (limit ${maxPerIdentity}) — close unused sessions (DELETE /mcp) or wait for them to expire`, { status: 429, reason: 'identity' });
+      }
+    },
+
+    add(sessionId, entry, identityKey) {
+      sessions.set(sessionId, { ...entry, identityKey, lastSeen: Date.now(), inflight: 0 });
+    },
+
+    get(sessionId) {
+      return sessions.get(sessionId);
+    },
+
+    has(sessionId) {
+      return sessions.has(sessionId);
+    },
+
+    remove(sessionId) {
+      return sessions.delete(sessionId);
+    },
+
+    /**
+     * Mark a request on the session as started; call the returned function
+     * when it ends (response closed). Keeps the session from idling out meanwhile.
+     */
+    begin(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) return () => {};
+      session.inflight++;
+      session.lastSeen = Date.now();
+      let done = false;
+      return () => {
+        if (done) return;
+        done = true;
+        session.inflight--;
+        session.lastSeen = Date.now();
+      };
+    },
+
+    /** Sessions idle past the timeout. The caller closes them; closing removes them. */
+    idle(now = Date.now()) {
+      if (!idleTimeoutMs) return [];
+      const stale = [...sessions].filter(([, s]) => s.inflight === 0 && now - s.lastSeen > idleTimeoutMs);
+      evicted += stale.length;
+      return stale;
+    },
+
+    ids() {
+      return [...sessions.keys()];
+    },
+
+    get size() {
+      return sessions.size;
+    },
+
+    stats() {
+      return {
+        active: sessions.size,
+        evicted,
+        rejected,
+        maxSessions: maxSessions || null,
+        maxPerIdentity: maxPerIdentity || null,
+        idleTimeoutSeconds: idleTimeoutMs / 1000,
+      };
+    },
+  };
+}
+
+/** MCP_MAX_SESSIONS, MCP_MAX_SESSIONS_PER_IDENTITY, MCP_SESSION_IDLE_MINUTES (0 disables each) */
+function sessionOptionsFromEnv(env = process.env) {
+  const num = (name, fallback) => (env[name] !== undefined && env[name] !== '' ? Number(env[name]) : fallback);
+  return {
+    maxSessions: num('MCP_MAX_SESSIONS', 1000),
+    maxPerIdentity: num('MCP_MAX_SESSIONS_PER_IDENTITY', 20),
+    idleTimeoutMs: num('MCP_SESSION_IDLE_MINUTES', 30) * 60 * 1000,
+  };
+}
+
+// ── Event Store ──
+
+/**
+ * In-memory EventStore for one session's StreamableHTTPServerTransport. Keeps
+ * the last maxEvents messages across the session's streams; a Last-Event-ID
+ * older than that is rejected by the SDK as unknown, and the client starts over.
+ */
+function createEventStore({ maxEvents = 100 } = {}) {
+  const events = new Map(); // eventId → { streamId, message } — Map order is send order
+  let seq = 0;
+
+  return {
+    async storeEvent(streamId, message) {
+      const eventId = String(++seq);
+      events.set(eventId, { streamId, message });
+      if (events.size > maxEvents) events.delete(events.keys().next().value);
+      return eventId;
+    },
+
+    async getStreamIdForEventId(eventId) {
+      return events.get(eventId)?.streamId;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const last = events.get(lastEventId);
+      if (!last) throw new Error(`Unknown or expired event ID: ${lastEventId}`);
+      let found = false;
+      for (const [eventId, { streamId, message }] of events) {
+        if (eventId === lastEventId) {
+          found = true;
+          continue;
+        }
+        // Priming events ({}) only carry an ID; nothing to resend
+        if (found && streamId === last.streamId && message.jsonrpc) await send(eventId, message);
+      }
+      return last.streamId;
+    },
+  };
+}
+
+// ── Exports ──
+
+export {
+  SessionLimitError,
+  createSessionRegistry,
+  sessionOptionsFromEnv,
+  createEventStore,
+};
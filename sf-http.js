@@ -0,0 +1,317 @@
+/**
+ * StratoForce AI — Resilient Salesforce HTTP
+ *
+ * Every REST call to an org goes through request() here, which adds:
+ *   - Retries with exponential backoff and full jitter for transient failures
+ *     (429, 502-504, SERVER_UNAVAILABLE, UNABLE_TO_LOCK_ROW, concurrent-request
+ *     limits, network errors, timeouts). Honors Retry-After.
+ *   - A per-attempt timeout through AbortController.
+ *   - A circuit breaker per org: after repeated failures calls fail fast for a
+ *     cooldown, then one trial call decides whether to close it again.
+ *   - Self-throttling from the Sforce-Limit-Info header (api-usage=used/max):
+ *     requests are spaced out past SF_API_THROTTLE_AT and refused past
+ *     SF_API_STOP_AT, leaving the rest of the daily allocation to the org.
+ *
+ * Non-idempotent requests (POST without idempotent: true) are only retried
+ * when Salesforce certainly didn't process them (429/503 or breaker).
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+// ── Errors ──
+
+/**
+ * A failed Salesforce call, with a message fit to show the user.
+ */
+class SalesforceError extends Error {
+  constructor(message, { status = null, errorCode = null, retryable = false, notSent = false } = {}) {
+    super(message);
+    this.name = 'SalesforceError';
+    this.status = status;
+    this.errorCode = errorCode;
+    this.retryable = retryable;
+    this.notSent = notSent; // refused locally, never reached Salesforce
+  }
+}
+
+/** Pull errorCode/message out of a Salesforce error body ([{ errorCode, message }]). */
+function parseSalesforceError(body) {
+  try {
+    const parsed = JSON.parse(body);
+    const first = Array.isArray(parsed) ? parsed[0] : parsed;
+    if (first && (first.errorCode || first.error)) {
+      return { errorCode: first.errorCode || first.error, message: first.message || first.error_description || '' };
+    }
+  } catch {}
+  return { errorCode: null, message: String(body || '').slice(0, 500) };
+}
+
+/**
+ * Build a SalesforceError for a non-2xx response.
+ * @param {string} what - e.g. 'SOQL query', 'Apex REST call'
+ */
+function salesforceError(what, status, body) {
+  const { errorCode, message } = parseSalesforceError(body);
+  const detail = errorCode ? `${errorCode}: ${message}` : message;
+  return new SalesforceError(`${what} failed (${status})${detail ? ` — ${detail}` : ''}`, { status, errorCode });
+}
+
+/** Parse a successful response's JSON body; Salesforce REST answers in JSON. */
+function parseJson(res, text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new SalesforceError(`Salesforce returned a response that is not JSON (${res.status})`, { status: res.status, errorCode: 'INVALID_RESPONSE' });
+  }
+}
+
+// ── Classification ──
+
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['SERVER_UNAVAILABLE', 'UNABLE_TO_LOCK_ROW', 'REQUEST_RUNNING_TOO_LONG', 'QUERY_TIMEOUT']);
+
+/** → 'retry' | 'fatal' | 'ok' for a response (body already read when not ok). */
+function classify(status, body) {
+  if (status < 400) return 'ok';
+  if (RETRYABLE_STATUS.has(status)) return 'retry';
+  const { errorCode, message } = parseSalesforceError(body);
+  if (RETRYABLE_CODES.has(errorCode)) return 'retry';
+  // REQUEST_LIMIT_EXCEEDED covers both the concurrent-request limit (transient)
+  // and the daily allocation (won't recover by retrying)
+  if (errorCode === 'REQUEST_LIMIT_EXCEEDED') return /TotalRequests/i.test(message) ? 'fatal' : 'retry';
+  return 'fatal';
+}
+
+/** Sforce-Limit-Info: "api-usage=25/15000" → { used, max } */
+function parseLimitInfo(header) {
+  const match = /api-usage=(\d+)\/(\d+)/.exec(header || '');
+  return match ? { used: Number(match[1]), max: Number(match[2]) } : null;
+}
+
+// Usage readings older than this no longer block calls — the header only
+// refreshes on responses, and the daily allocation is a rolling 24h window
+const USAGE_STALE_MS = 5 * 60 * 1000;
+// setTimeout's largest delay; longer ones fire at once
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function retryAfterMs(res) {
+  const value = res?.headers?.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ── Client ──
+
+/**
+ * Create the HTTP layer. One instance is shared by all sessions so breaker and
+ * API usage state is per org, not per session.
+ */
+function createSalesforceHttp(options = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    timeoutMs = 30000,
+    breakerThreshold = 5,
+    breakerCooldownMs = 30000,
+    throttleAt = 0.8,
+    stopAt = 0.95,
+    throttleIntervalMs = 1000,
+    fetchImpl = (...args) => fetch(...args),
+  } = options;
+
+  const orgs = new Map(); // orgKey → { breaker, failures, openUntil, probing, apiUsage, usageSeenAt, nextSlot }
+
+  const stateFor = (orgKey) => {
+    if (!orgs.has(orgKey)) {
+      orgs.set(orgKey, { breaker: 'closed', failures: 0, openUntil: 0, probing: false, apiUsage: null, usageSeenAt: 0, nextSlot: 0 });
+    }
+    return orgs.get(orgKey);
+  };
+
+  // Fail fast while open; after the cooldown let a single probe through
+  const enterBreaker = (orgKey, state) => {
+    if (state.breaker === 'closed') return;
+    const now = Date.now();
+    if (state.breaker === 'open' && now >= state.openUntil) state.breaker = 'half-open';
+    if (state.breaker === 'open' || state.probing) {
+      const wait = Math.ceil(Math.max(state.openUntil - now, 1000) / 1000);
+      throw new SalesforceError(`Salesforce org ${orgKey} is unavailable after repeated failures — try again in ${wait}s`, {
+        errorCode: 'CIRCUIT_OPEN',
+        retryable: true,
+        notSent: true,
+      });
+    }
+    state.probing = true;
+  };
+
+  const recordSuccess = (state) => {
+    state.failures = 0;
+    state.breaker = 'closed';
+    state.probing = false;
+  };
+
+  const recordFailure = (state) => {
+    state.failures++;
+    state.probing = false;
+    if (state.breaker === 'half-open' || state.failures >= breakerThreshold) {
+      state.breaker = 'open';
+      state.openUntil = Date.now() + breakerCooldownMs;
+    }
+  };
+
+  const throttle = async (orgKey, state) => {
+    const usage = state.apiUsage;
+    if (!usage?.max || Date.now() - state.usageSeenAt > USAGE_STALE_MS) return;
+    const ratio = usage.used / usage.max;
+    if (ratio >= stopAt) {
+      throw new SalesforceError(
+        `Salesforce API allocation for ${orgKey} is ${Math.round(ratio * 100)}% used (${usage.used}/${usage.max}) — holding back the rest for the org's own integrations`,
+        { errorCode: 'API_ALLOCATION_RESERVED', notSent: true }
+      );
+    }
+    if (ratio >= throttleAt) {
+      const now = Date.now();
+      const wait = Math.max(0, state.nextSlot - now);
+      state.nextSlot = Math.max(now, state.nextSlot) + throttleIntervalMs;
+      if (wait) await sleep(wait);
+    }
+  };
+
+  /** Note an org's API usage ({ used, max }), from a response header or /limits. */
+  function recordUsage(orgKey, usage) {
+    const state = stateFor(orgKey);
+    state.apiUsage = { used: usage.used, max: usage.max, at: new Date().toISOString() };
+    state.usageSeenAt = Date.now();
+  }
+
+  /**
+   * fetch() with retries, timeout, breaker and throttling. The timeout covers
+   * reading the body too, so a response that stalls mid-body is retried like
+   * one that never arrives.
+   * Returns { res, body, data } — the body is already consumed: body is its
+   * text when !res.ok, else null; data is the parsed JSON when res.ok (null for
+   * an empty body). Throws SalesforceError when retries are exhausted, the
+   * breaker is open or the API allocation is reserved.
+   *
+   * @param {string} orgKey - breaker/usage bucket, e.g. "org:prod"
+   * @param {object} [opts] - { idempotent } — defaults to true for GET
+   */
+  async function request(orgKey, url, init = {}, opts = {}) {
+    const state = stateFor(orgKey);
+    const method = (init.method || 'GET').toUpperCase();
+    const idempotent = opts.idempotent ?? method === 'GET';
+
+    await throttle(orgKey, state);
+    enterBreaker(orgKey, state);
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let res;
+      let text;
+      let body = null;
+      let verdict;
+      try {
+        res = await fetchImpl(url, { ...init, signal: controller.signal });
+        const usage = parseLimitInfo(res.headers.get('sforce-limit-info'));
+        if (usage) recordUsage(orgKey, usage);
+        text = await res.text();
+        if (!res.ok) body = text;
+        verdict = classify(res.status, body);
+        // Only retry a non-idempotent request if Salesforce rejected it up front
+        if (verdict === 'retry' && !idempotent && ![429, 503].includes(res.status)) verdict = 'fatal';
+      } catch (err) {
+        const timedOut = err.name === 'AbortError';
+        lastError = new SalesforceError(
+          timedOut ? `Salesforce did not respond within ${timeoutMs / 1000}s` : `Cannot reach Salesforce: ${err.message}`,
+          { errorCode: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR', retryable: true }
+        );
+        verdict = idempotent ? 'retry' : 'fatal';
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (verdict === 'ok') {
+        recordSuccess(state);
+        return { res, body, data: parseJson(res, text) };
+      }
+      if (verdict === 'fatal') {
+        // Ordinary 4xx (bad query, no access) say nothing about the org's health
+        if (res && res.status < 500) recordSuccess(state);
+        else recordFailure(state);
+        if (res) return { res, body };
+        throw lastError;
+      }
+
+      if (res) {
+        const { errorCode, message } = parseSalesforceError(body);
+        lastError = new SalesforceError(
+          `Salesforce is temporarily unavailable (${res.status}${errorCode ? ` ${errorCode}` : ''})${message ? ` — ${message}` : ''}`,
+          { status: res.status, errorCode, retryable: true }
+        );
+      }
+      if (attempt === retries) break;
+      const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      await sleep(Math.min(maxDelayMs, retryAfterMs(res) ?? backoff));
+    }
+
+    recordFailure(state);
+    lastError.message += ` (gave up after ${retries + 1} attempts)`;
+    throw lastError;
+  }
+
+  /** Per-org breaker state and last seen API usage, for /health. */
+  function stats() {
+    return Object.fromEntries([...orgs].map(([orgKey, s]) => [orgKey, {
+      breaker: s.breaker === 'open' && Date.now() >= s.openUntil ? 'half-open' : s.breaker,
+      consecutiveFailures: s.failures,
+      apiUsage: s.apiUsage,
+    }]));
+  }
+
+  return { request, recordUsage, stats };
+}
+
+/** SF_HTTP_RETRIES, SF_HTTP_TIMEOUT_MS, SF_BREAKER_THRESHOLD, SF_BREAKER_COOLDOWN_MS, SF_API_THROTTLE_AT, SF_API_STOP_AT */
+function httpOptionsFromEnv(env = process.env) {
+  // Whole numbers at least min, or shares of the allocation in (0, 1]
+  const read = (name, fallback, valid, expected) => {
+    if (env[name] === undefined || env[name] === '') return fallback;
+    const value = Number(env[name]);
+    if (!valid(value)) {
+      console.error(`FATAL: ${name} must be ${expected} (got "${env[name]}").`);
+      process.exit(1);
+    }
+    return value;
+  };
+  const whole = (name, fallback, min) => read(name, fallback,
+    v => Number.isSafeInteger(v) && v >= min && v <= MAX_TIMER_MS, `a whole number from ${min} to ${MAX_TIMER_MS}`);
+  const share = (name, fallback) => read(name, fallback, v => v > 0 && v <= 1, 'a number above 0 and at most 1');
+  return {
+    retries: whole('SF_HTTP_RETRIES', 3, 0),
+    timeoutMs: whole('SF_HTTP_TIMEOUT_MS', 30000, 1),
+    breakerThreshold: whole('SF_BREAKER_THRESHOLD', 5, 1),
+    breakerCooldownMs: whole('SF_BREAKER_COOLDOWN_MS', 30000, 0),
+    throttleAt: share('SF_API_THROTTLE_AT', 0.8),
+    stopAt: share('SF_API_STOP_AT', 0.95),
+  };
+}
+
+// ── Exports ──
+
+export {
+  SalesforceError,
+  salesforceError,
+  parseLimitInfo,
+  createSalesforceHttp,
+  httpOptionsFromEnv,
+};
@@ -0,0 +1,230 @@
+/**
+ * StratoForce AI — SOQL Builder
+ *
+ * Builds SOQL from tagged templates so user input can only ever land in a
+ * query as a literal value:
+ *
+ *   const id = sfId(opportunityId, '006');
+ *   runQuery(soql`SELECT Name FROM Opportunity WHERE Id = ${id} AND StageName = ${stage}`);
+ *
+ * Interpolated values become quoted, escaped literals (strings), numbers,
+ * TRUE/FALSE or NULL. Only fragments built by this module (soql``, like(),
+ * dateLiteral(), isoDate(), field()) are spliced in as SOQL text, and each
+ * of those validates its input. sfQuery() accepts nothing else.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+// ── Fragments ──
+
+/** A piece of SOQL text that is safe to splice into a query verbatim. */
+class SoqlFragment {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+const ESCAPES = {
+  '\\': '\\\\',
+  "'": "\\'",
+  '"': '\\"',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f',
+};
+
+/** Escape a string for use inside a single-quoted SOQL literal. */
+function escapeLiteral(value) {
+  return String(value).replace(/[\\'"\n\r\t\b\f]/g, ch => ESCAPES[ch]);
+}
+
+function literal(value) {
+  if (value instanceof SoqlFragment) return value.text;
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'string') return `'${escapeLiteral(value)}'`;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid SOQL number: ${value}`);
+    return String(value);
+  }
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new Error('Invalid SOQL date');
+    return value.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+  if (Array.isArray(value)) {
+    if (!value.length) throw new Error('SOQL IN list cannot be empty');
+    return `(${value.map(literal).join(', ')})`;
+  }
+  throw new Error(`Cannot use ${typeof value} as a SOQL value`);
+}
+
+/**
+ * Tagged template: soql`... WHERE Name = ${name}`.
+ * Returns a SoqlFragment, so queries compose: soql`${base}${filter} LIMIT 5`.
+ */
+function soql(strings, ...values) {
+  let text = strings[0];
+  values.forEach((value, i) => {
+    text += literal(value) + strings[i + 1];
+  });
+  return new SoqlFragment(text);
+}
+
+/** Join fragments, skipping empty ones (e.g. optional filters). */
+function join(fragments, separator = ' ') {
+  return new SoqlFragment(fragments.filter(f => f && f.text).map(f => f.text).join(separator));
+}
+
+// ── Validated Values ──
+
+const FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(?:\.[A-Za-z][A-Za-z0-9_]*)*$/;
+
+/** A field path (Name, Account.Name, stratoforce__Opportunity__r.OwnerId). */
+function field(name) {
+  if (typeof name !== 'string' || !FIELD_PATTERN.test(name)) {
+    throw new Error(`Invalid SOQL field: ${String(name).slice(0, 100)}`);
+  }
+  return new SoqlFragment(name);
+}
+
+/**
+ * LIKE pattern literal. % and _ in the input match literally.
+ * mode: 'contains' (default), 'startsWith', 'endsWith', 'exact'
+ */
+function like(value, mode = 'contains') {
+  const escaped = escapeLiteral(value).replace(/[%_]/g, ch => `\\${ch}`);
+  const pattern = {
+    contains: `%${escaped}%`,
+    startsWith: `${escaped}%`,
+    endsWith: `%${escaped}`,
+    exact: escaped,
+  }[mode];
+  if (pattern === undefined) throw new Error(`Unknown LIKE mode: ${mode}`);
+  return new SoqlFragment(`'${pattern}'`);
+}
+
+const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+// Key prefixes for objects the tools look up by ID
+const KEY_PREFIXES = {
+  '001': 'Account',
+  '003': 'Contact',
+  '005': 'User',
+  '006': 'Opportunity',
+};
+
+function isSalesforceId(value, prefix) {
+  return typeof value === 'string' && ID_PATTERN.test(value) && (!prefix || value.startsWith(prefix));
+}
+
+/**
+ * Validate a 15- or 18-character Salesforce ID, optionally of one object type
+ * by key prefix (006 = Opportunity, 001 = Account, ...). Returns the trimmed ID.
+ */
+function sfId(value, prefix) {
+  const id = typeof value === 'string' ? value.trim() : value;
+  if (!isSalesforceId(id)) {
+    throw new Error(`Invalid Salesforce ID: "${String(value).slice(0, 40)}" (expected 15 or 18 letters and digits)`);
+  }
+  if (prefix && !id.startsWith(prefix)) {
+    const object = KEY_PREFIXES[prefix] || `prefix ${prefix}`;
+    throw new Error(`Invalid ${object} ID: "${id}" (${object} IDs start with ${prefix})`);
+  }
+  return id;
+}
+
+// ── Date Literals ──
+
+const DATE_LITERALS = new Set([
+  'YESTERDAY', 'TODAY', 'TOMORROW',
+  'LAST_WEEK', 'THIS_WEEK', 'NEXT_WEEK',
+  'LAST_MONTH', 'THIS_MONTH', 'NEXT_MONTH',
+  'LAST_90_DAYS', 'NEXT_90_DAYS',
+  'LAST_QUARTER', 'THIS_QUARTER', 'NEXT_QUARTER',
+  'LAST_YEAR', 'THIS_YEAR', 'NEXT_YEAR',
+  'LAST_FISCAL_QUARTER', 'THIS_FISCAL_QUARTER', 'NEXT_FISCAL_QUARTER',
+  'LAST_FISCAL_YEAR', 'THIS_FISCAL_YEAR', 'NEXT_FISCAL_YEAR',
+]);
+
+// LAST_N_DAYS:30, NEXT_N_FISCAL_QUARTERS:2, N_DAYS_AGO:7, ...
+const DATE_LITERAL_WITH_N = /^(?:(?:LAST|NEXT)_N_(?:DAYS|WEEKS|MONTHS|QUARTERS|YEARS|FISCAL_QUARTERS|FISCAL_YEARS)|N_(?:DAYS|WEEKS|MONTHS|QUARTERS|YEARS|FISCAL_QUARTERS|FISCAL_YEARS)_AGO):(\d{1,4})$/;
+
+/**
+ * Allowlisted SOQL date literal (THIS_QUARTER, LAST_N_DAYS:30, ...).
+ * Case-insensitive; throws on anything else.
+ */
+function dateLiteral(value) {
+  const name = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  if (!DATE_LITERALS.has(name) && !DATE_LITERAL_WITH_N.test(name)) {
+    throw new Error(`Invalid date literal: "${String(value).slice(0, 40)}". Use e.g. THIS_QUARTER, LAST_QUARTER, THIS_YEAR, LAST_N_DAYS:30`);
+  }
+  return new SoqlFragment(name);
+}
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** A calendar date (YYYY-MM-DD) for Date fields like CloseDate; throws on anything else. */
+function isoDate(value) {
+  const match = ISO_DATE.exec(typeof value === 'string' ? value.trim() : '');
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) {
+    throw new Error(`Invalid date: "${String(value).slice(0, 40)}". Use YYYY-MM-DD`);
+  }
+  return new SoqlFragment(match[0]);
+}
+
+// ── Namespace ──
+
+// The package's own prefix; queries and tool code are written with it
+const PACKAGE_NAMESPACE = 'stratoforce__';
+
+/**
+ * Rewrite stratoforce__ names in query text to another namespace ('' for an
+ * unmanaged org). Quoted literals are left alone.
+ */
+function withNamespace(text, namespace) {
+  if (namespace === PACKAGE_NAMESPACE) return text;
+  return text
+    .split(/('(?:\\.|[^'\\])*')/)
+    .map((part, i) => (i % 2 ? part : part.replace(/\bstratoforce__/g, namespace)))
+    .join('');
+}
+
+/**
+ * Rename fields in query results from the org's namespace back to
+ * stratoforce__, so tool code reads the same names in every org. Walks nested
+ * relationship objects and subquery results.
+ */
+function fromNamespace(value, namespace) {
+  if (namespace === PACKAGE_NAMESPACE || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(v => fromNamespace(v, namespace));
+  const rename = namespace
+    ? (key) => (key.startsWith(namespace) ? PACKAGE_NAMESPACE + key.slice(namespace.length) : key)
+    // Unmanaged: custom names with no namespace of their own (Alert_Type__c, not x__Foo__c)
+    : (key) => (/^[A-Za-z][A-Za-z0-9_]*__[cr]$/.test(key) && key.indexOf('__') === key.length - 3 ? PACKAGE_NAMESPACE + key : key);
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [rename(key), fromNamespace(v, namespace)]));
+}
+
+// ── Exports ──
+
+export {
+  SoqlFragment,
+  soql,
+  join,
+  escapeLiteral,
+  field,
+  like,
+  sfId,
+  isSalesforceId,
+  dateLiteral,
+  isoDate,
+  withNamespace,
+  fromNamespace,
+};
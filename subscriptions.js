@@ -0,0 +1,163 @@
+/**
+ * StratoForce AI — Resource Subscriptions
+ *
+ * Backs resources/subscribe. For each org with subscribers, one poll takes a
+ * cheap fingerprint of every subscribed resource (counts, sums, latest
+ * timestamps) and notifies the resource's subscribers when it changes, so
+ * clients re-read on change instead of polling whole resources themselves:
+ *
+ *   const watcher = createResourceWatcher({ pollSeconds: 60, fingerprint });
+ *   watcher.subscribe(sessionId, { key: 'org:prod', uri, source, notify });
+ *   watcher.unsubscribe(sessionId, uri);
+ *   watcher.drop(sessionId); // session closed
+ *
+ * Sessions on the same org share its poll, however many subscribe. A poll
+ * runs with one subscriber's source (credentials) and a notification only
+ * says that something changed; each session re-reads under its own access.
+ * The first poll that sees a resource records a baseline, so subscribing
+ * never notifies by itself.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+const MIN_POLL_SECONDS = 5;
+
+// ── Watcher ──
+
+/**
+ * Create the watcher. One instance is shared by all sessions.
+ * @param {object} options
+ * @param {number} [options.pollSeconds] - time between polls of an org (minimum 5)
+ * @param {Function} options.fingerprint - async (uris, source) → { [uri]: string }; a uri left
+ *   out keeps its last fingerprint
+ * @param {Function} [options.onError] - (err, key) for failed polls and notifications
+ */
+function createResourceWatcher({ pollSeconds = 60, fingerprint, onError = () => {} }) {
+  const intervalMs = Math.max(MIN_POLL_SECONDS, pollSeconds) * 1000;
+  const groups = new Map(); // key → { subscribers: Map subscriberId → { source, notify, uris }, last: Map uri → fingerprint, timer, polling }
+  let polls = 0;
+  let failures = 0;
+  let notifications = 0;
+
+  const wantedUris = (group) => {
+    const uris = new Set();
+    for (const s of group.subscribers.values()) for (const uri of s.uris) uris.add(uri);
+    return uris;
+  };
+
+  const send = async (subscriber, uri) => subscriber.notify(uri);
+
+  const poll = async (key) => {
+    const group = groups.get(key);
+    if (!group || group.polling) return;
+    const uris = wantedUris(group);
+    const [[subscriberId, polledWith] = []] = group.subscribers;
+    if (!uris.size || !polledWith) return;
+    group.polling = true;
+    polls++;
+    try {
+      const current = await fingerprint([...uris], polledWith.source);
+      for (const uri of uris) {
+        if (current[uri] === undefined) continue;
+        const before = group.last.get(uri);
+        group.last.set(uri, current[uri]);
+        if (before === undefined || before === current[uri]) continue;
+        for (const s of group.subscribers.values()) {
+          if (!s.uris.has(uri)) continue;
+          notifications++;
+          send(s, uri).catch(err => onError(err, key));
+        }
+      }
+    } catch (err) {
+      failures++;
+      onError(err, key);
+      // Its credentials may be the problem; the next poll uses another subscriber's
+      if (group.subscribers.get(subscriberId) === polledWith) {
+        group.subscribers.delete(subscriberId);
+        group.subscribers.set(subscriberId, polledWith);
+      }
+    } finally {
+      group.polling = false;
+    }
+  };
+
+  // Stop an org's poll once nobody subscribes; forget fingerprints nobody wants
+  const prune = (key) => {
+    const group = groups.get(key);
+    if (!group) return;
+    if (!group.subscribers.size) {
+      clearInterval(group.timer);
+      groups.delete(key);
+      return;
+    }
+    const uris = wantedUris(group);
+    for (const uri of group.last.keys()) if (!uris.has(uri)) group.last.delete(uri);
+  };
+
+  return {
+    /**
+     * Subscribe to a resource on one org (key). source is handed to
+     * fingerprint() when this subscriber's turn comes to poll; notify(uri) is
+     * called when the resource changes.
+     */
+    subscribe(subscriberId, { key, uri, source, notify }) {
+      let group = groups.get(key);
+      if (!group) {
+        group = { subscribers: new Map(), last: new Map(), polling: false };
+        group.timer = setInterval(() => poll(key), intervalMs);
+        group.timer.unref();
+        groups.set(key, group);
+      }
+      let subscriber = group.subscribers.get(subscriberId);
+      if (!subscriber) {
+        subscriber = { uris: new Set() };
+        group.subscribers.set(subscriberId, subscriber);
+      }
+      Object.assign(subscriber, { source, notify });
+      const isNew = !wantedUris(group).has(uri);
+      subscriber.uris.add(uri);
+      // Baseline now, so a change before the first interval isn't missed
+      if (isNew) poll(key);
+    },
+
+    /** Unsubscribe from a resource, on whichever orgs the subscriber watches it. */
+    unsubscribe(subscriberId, uri) {
+      for (const [key, group] of groups) {
+        const subscriber = group.subscribers.get(subscriberId);
+        if (!subscriber?.uris.delete(uri)) continue;
+        if (!subscriber.uris.size) group.subscribers.delete(subscriberId);
+        prune(key);
+      }
+    },
+
+    /** Drop every subscription a subscriber holds (its session closed). */
+    drop(subscriberId) {
+      for (const [key, group] of groups) {
+        if (group.subscribers.delete(subscriberId)) prune(key);
+      }
+    },
+
+    stats() {
+      let subscriptions = 0;
+      for (const group of groups.values()) {
+        for (const s of group.subscribers.values()) subscriptions += s.uris.size;
+      }
+      return { orgs: groups.size, subscriptions, polls, failures, notifications, pollSeconds: intervalMs / 1000 };
+    },
+  };
+}
+
+/** RESOURCE_POLL_SECONDS (default 60, minimum 5) */
+function subscriptionOptionsFromEnv(env = process.env) {
+  return {
+    pollSeconds: parseInt(env.RESOURCE_POLL_SECONDS) || 60,
+  };
+}
+
+// ── Exports ──
+
+export {
+  createResourceWatcher,
+  subscriptionOptionsFromEnv,
+};
@@ -0,0 +1,302 @@
+/**
+ * StratoForce AI — Tool Output Schemas
+ *
+ * zod shapes for each tool's structuredContent, advertised as outputSchema in
+ * tools/list so agents can chain tools on typed fields instead of parsing the
+ * text. The SDK checks every successful result against its schema; error
+ * results (isError) carry text only.
+ *
+ * Amounts are numbers in the report currency, named by the result's
+ * currency field. Dates are Salesforce's ISO strings. Fields Salesforce
+ * returns empty are null.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { z } from 'zod';
+
+// ── Shared Shapes ──
+
+const count = z.number().int().nonnegative();
+const amount = z.number();
+const currency = z.string().describe('ISO 4217 code of every amount in the result');
+
+// One opportunity; which fields are present depends on what the tool selected
+const Deal = z.object({
+  id: z.string().nullish(),
+  name: z.string().nullish(),
+  stage: z.string().nullish(),
+  amount: amount.nullish(),
+  closeDate: z.string().nullish(),
+  lastActivityDate: z.string().nullish(),
+  createdDate: z.string().nullish(),
+  probability: z.number().nullish(),
+  forecastCategory: z.string().nullish(),
+  account: z.string().nullish(),
+  owner: z.string().nullish(),
+});
+
+const Contact = z.object({
+  name: z.string().nullable(),
+  title: z.string().nullable(),
+  email: z.string().nullable(),
+  role: z.string().nullable(),
+  isPrimary: z.boolean(),
+});
+
+const Totals = z.object({ count, amount });
+
+const StageTotals = z.object({
+  stage: z.string(),
+  count,
+  amount,
+  averageAmount: amount.optional(),
+});
+
+const Conversation = z.object({
+  id: z.string().nullish(),
+  date: z.string().nullable(),
+  type: z.string().nullable(),
+  platform: z.string().nullable(),
+  durationMinutes: z.number().nullish(),
+  summary: z.string().nullable(),
+});
+
+// A period argument as applied (periods.js)
+const Period = z.object({
+  input: z.string().describe('The period as given, e.g. "last 90 days"'),
+  literal: z.string().nullable().describe('SOQL date literal used, e.g. LAST_N_DAYS:90; null for explicit dates'),
+  from: z.string().nullable().describe('First day covered (YYYY-MM-DD); null when open or not worked out'),
+  to: z.string().nullable().describe('Last day covered (YYYY-MM-DD); null when open or not worked out'),
+  label: z.string().describe('e.g. "This fiscal quarter, FY2027 Q1 (2026-02-01 – 2026-04-30)"'),
+  fiscal: z.boolean(),
+});
+
+const RepTotals = z.object({ rank: count, ownerId: z.string(), owner: z.string().nullable(), count, amount });
+
+const OrgEntry = z.object({
+  alias: z.string(),
+  label: z.string().nullish(),
+  type: z.string().nullish(),
+  instanceUrl: z.string().nullish(),
+  isDefault: z.boolean(),
+  isCurrent: z.boolean(),
+});
+
+// ── Tool Schemas ──
+
+const OUTPUT_SCHEMAS = {
+  get_pipeline_health: {
+    currency,
+    period: Period.describe('Period for won, lost and win rate'),
+    closingPeriod: Period,
+    stages: z.array(StageTotals),
+    closing: Totals.describe('Open deals due to close in closingPeriod'),
+    staleDeals: count,
+    staleDays: count,
+    winRate: z.number().nullable().describe('Percent won of deals closed in the period; null until there are both wins and losses'),
+    won: Totals.nullable(),
+    lost: Totals.nullable(),
+  },
+  get_deal_details: {
+    currency,
+    deal: Deal.extend({ nextStep: z.string().nullish(), leadSource: z.string().nullish(), type: z.string().nullish(), description: z.string().nullish() })
+      .nullable().describe('null when no opportunity has this ID'),
+    contacts: z.array(Contact),
+    totalContacts: count,
+    conversations: z.array(Conversation),
+  },
+  get_pre_call_briefing: {
+    currency,
+    dealName: z.string().nullish(),
+    stage: z.string().nullish(),
+    amount: amount.nullish(),
+    daysInStage: z.number().nullish(),
+    dealScore: z.number().nullish(),
+    stakeholders: z.array(z.object({
+      name: z.string().nullish(),
+      title: z.string().nullish(),
+      role: z.string().nullish(),
+      engagementStatus: z.string().nullish(),
+    })),
+    competitiveIntel: z.array(z.object({
+      name: z.string().nullish(),
+      threatLevel: z.string().nullish(),
+      mentionCount: z.number().nullish(),
+    })),
+    riskFactors: z.array(z.string()),
+    talkingPoints: z.array(z.string()),
+    suggestedNextStep: z.string().nullish(),
+    championStatus: z.string().nullish(),
+  },
+  scan_risks: {
+    currency,
+    staleDays: count,
+    staleDeals: z.array(Deal),
+    pastDueDeals: z.array(Deal),
+  },
+  search_deals: {
+    currency,
+    query: z.string(),
+    stage: z.string().nullable(),
+    deals: z.array(Deal),
+    totalSize: count,
+  },
+  get_competitive_intel: {
+    competitor: z.string(),
+    battleCards: z.array(z.object({
+      id: z.string().nullish(),
+      name: z.string(),
+      threatLevel: z.string().nullable(),
+      winStrategy: z.string().nullable(),
+      differentiators: z.string().nullable(),
+      pricingIntel: z.string().nullable(),
+    })),
+    recentMentions: count,
+  },
+  get_champion_status: {
+    primaryContact: Contact.nullable(),
+    daysSinceContact: z.number().int().nullable(),
+    riskLevel: z.enum(['active', 'at_risk', 'dark', 'unknown']),
+    contacts: z.array(Contact),
+    totalContacts: count,
+    recentActivities: z.array(z.object({
+      date: z.string().nullable(),
+      subject: z.string().nullable(),
+      contact: z.string().nullable(),
+    })),
+  },
+  get_whitespace_analysis: {
+    currency,
+    account: z.object({ id: z.string(), name: z.string() }).nullable().describe('null when no account has this ID'),
+    wonDeals: z.array(Deal),
+    openDeals: z.array(Deal),
+    totalWonDeals: count,
+    totalOpenDeals: count,
+    wonAmount: amount,
+    expansionPotential: amount.describe('Open pipeline on the account'),
+    truncated: z.boolean().describe('Amounts are summed from a capped list of deals'),
+  },
+  get_revenue_alerts: {
+    days: count,
+    total: count,
+    bySeverity: z.object({ critical: count, warning: count, info: count }),
+    alerts: z.array(z.object({
+      id: z.string().nullish(),
+      type: z.string().nullable(),
+      severity: z.string().nullable(),
+      message: z.string().nullable(),
+      opportunity: z.string().nullable(),
+      createdDate: z.string().nullish(),
+    })),
+  },
+  get_win_loss_analysis: {
+    currency,
+    period: Period,
+    winRate: z.number().describe('Percent of closed deals won'),
+    won: Totals.extend({ averageAmount: amount }),
+    lost: Totals.extend({ averageAmount: amount }),
+    wonByStage: z.array(StageTotals),
+    lostByStage: z.array(StageTotals),
+  },
+  get_conversation_insights: {
+    totalConversations: count,
+    conversations: z.array(Conversation),
+    analyses: z.array(z.object({
+      date: z.string().nullable(),
+      sentiment: z.number().nullable(),
+      meddicScore: z.number().nullable(),
+      topics: z.string().nullable(),
+      competitorsMentioned: z.string().nullable(),
+      nextSteps: z.string().nullable(),
+    })),
+  },
+  get_account_health: {
+    currency,
+    account: z.object({
+      id: z.string(),
+      name: z.string(),
+      industry: z.string().nullable(),
+      annualRevenue: amount.nullable(),
+      employees: z.number().nullable(),
+    }).nullable().describe('null when no account has this ID'),
+    healthScore: z.number().nullable(),
+    openPipeline: Totals,
+    closedWon: Totals,
+    recentActivities: count,
+    activityDays: count,
+    signals: z.object({
+      existingCustomer: z.boolean(),
+      engagement: z.enum(['active', 'light', 'none']),
+      openDeals: count,
+    }).nullable(),
+  },
+  get_stage_velocity: {
+    currency,
+    period: Period.describe('Period for averageWonDealSize'),
+    stages: z.array(z.object({ stage: z.string(), count, averageProbability: z.number() })),
+    averageWonDealSize: amount,
+    bottleneckThreshold: count,
+    bottlenecks: z.array(z.object({ stage: z.string(), count })),
+  },
+  get_leaderboard: {
+    currency,
+    period: Period,
+    closedWon: z.array(RepTotals),
+    openPipeline: z.array(RepTotals),
+  },
+  ask_stratoforce: {
+    currency,
+    question: z.string(),
+    answered: z.boolean().describe('false when the question matched none of the supported patterns'),
+    label: z.string().nullable(),
+    deals: z.array(Deal),
+    totals: Totals.nullable().describe('Set for aggregate questions such as total pipeline'),
+    totalSize: count,
+    truncated: z.boolean(),
+  },
+  ingest_conversation: {
+    status: z.enum(['created', 'duplicate']),
+    conversationId: z.string(),
+    opportunityId: z.string(),
+    sourceId: z.string(),
+    format: z.enum(['text', 'vtt', 'srt']).nullable(),
+    segments: count.nullable(),
+    durationMinutes: z.number().nullable(),
+    participants: z.array(z.string()),
+    analysis: z.enum(['requested', 'unavailable', 'failed']).nullable(),
+    analysisError: z.string().nullable(),
+    transcriptTruncated: z.boolean(),
+  },
+  score_deal: {
+    opportunity: z.object({ id: z.string(), name: z.string(), stage: z.string().nullable(), isClosed: z.boolean() })
+      .nullable().describe('null when no opportunity has this ID'),
+    score: z.number().nullable(),
+    factors: z.array(z.object({
+      factor: z.string(),
+      label: z.string(),
+      weight: z.number(),
+      score: z.number().describe('0–1'),
+      points: z.number(),
+      maxPoints: z.number(),
+      detail: z.string(),
+    })),
+    skipped: z.array(z.string()).describe('Factors left out for lack of data'),
+    reasons: z.array(z.string()),
+  },
+  list_orgs: {
+    orgs: z.array(OrgEntry),
+    current: z.string().nullable(),
+    oauthSession: z.boolean().describe('true when the session is bound to the caller\'s own org'),
+  },
+  switch_org: {
+    currentOrg: z.string(),
+  },
+};
+
+// ── Exports ──
+
+export {
+  OUTPUT_SCHEMAS,
+};
@@ -0,0 +1,201 @@
+/**
+ * StratoForce AI — Transcript Parsing
+ *
+ * Turns a call transcript into speaker-attributed segments for
+ * ingest_conversation. Accepted formats:
+ *
+ *   vtt  — WebVTT cues; speakers from <v Name> voice tags or "Name: text"
+ *   srt  — SubRip blocks; speakers from "Name: text"
+ *   text — one utterance per line, optionally timestamped:
+ *            [00:01:23] Alice: text    00:01:23 Alice: text    Alice (1:23): text    Alice: text
+ *          Lines without a speaker continue the previous utterance.
+ *
+ * parseTranscript() returns { format, segments, speakers, durationSeconds }
+ * where each segment is { start, end, speaker, text } (seconds, or null when
+ * the transcript has no timestamps). conversationFields() turns a parsed
+ * transcript into a stratoforce__Conversation__c record.
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+import { createHash } from 'node:crypto';
+
+// Long Text Area maximum
+const TRANSCRIPT_MAX_CHARS = 131072;
+
+// ── Timestamps ──
+
+// 01:02:03.456, 01:02:03,456 (SRT), 02:03.456, 1:23
+const TIMESTAMP = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/;
+
+/** "01:02:03.456" → 3723.456 seconds; null if not a timestamp. */
+function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(String(value).trim());
+  if (!match) return null;
+  const [, h = '0', m, s, ms = '0'] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000;
+}
+
+/** 3723.4 → "01:02:03" */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+// ── Formats ──
+
+const CUE_TIMING = /^(\S+)\s+-->\s+(\S+)/;
+// "Alice: text", "Dr. Jane Smith: text" — short label, no sentence punctuation before the colon
+const SPEAKER_PREFIX = /^([^:\n]{1,60}?):\s+(.*)$/;
+const VOICE_TAG = /^<v(?:\.[^\s>]+)?\s+([^>]+)>(.*?)(?:<\/v>)?$/;
+
+function splitSpeaker(line) {
+  const voice = VOICE_TAG.exec(line);
+  if (voice) return { speaker: voice[1].trim(), text: voice[2].trim() };
+  const prefixed = SPEAKER_PREFIX.exec(line);
+  if (prefixed && !/[.?!]\s/.test(prefixed[1]) && !/^https?$/i.test(prefixed[1])) {
+    return { speaker: prefixed[1].trim(), text: prefixed[2].trim() };
+  }
+  return { speaker: null, text: line.trim() };
+}
+
+const stripTags = (text) => text.replace(/<\/?[^>]+>/g, '').trim();
+
+/** WebVTT and SRT: blocks separated by blank lines, each with one timing line. */
+function parseCues(text) {
+  const segments = [];
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(l => CUE_TIMING.test(l));
+    if (timingIndex === -1) continue; // header, NOTE, STYLE, REGION
+    const [, from, to] = CUE_TIMING.exec(lines[timingIndex]);
+    const body = lines.slice(timingIndex + 1);
+    if (!body.length) continue;
+    const { speaker, text: first } = splitSpeaker(body[0]);
+    segments.push({
+      start: parseTimestamp(from),
+      end: parseTimestamp(to),
+      speaker,
+      text: stripTags([first, ...body.slice(1)].join(' ')),
+    });
+  }
+  return segments;
+}
+
+// [00:01:23] Alice: ...  |  00:01:23 Alice: ...  |  Alice (1:23): ...  |  Alice 1:23: ...
+const TEXT_LEADING_TIME = /^\[?(\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d{1,3})?)\]?\s+(.*)$/;
+const TEXT_SPEAKER_TIME = /^([^:(\n]{1,60}?)\s+\(?(\d{1,2}:\d{2}(?::\d{2})?)\)?:\s+(.*)$/;
+
+function parsePlainText(text) {
+  const segments = [];
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line) continue;
+    let start = null;
+    let rest = line;
+    const leading = TEXT_LEADING_TIME.exec(line);
+    const trailing = !leading && TEXT_SPEAKER_TIME.exec(line);
+    if (leading) {
+      start = parseTimestamp(leading[1]);
+      rest = leading[2];
+    } else if (trailing) {
+      segments.push({ start: parseTimestamp(trailing[2]), end: null, speaker: trailing[1].trim(), text: trailing[3].trim() });
+      continue;
+    }
+    const { speaker, text: said } = splitSpeaker(rest);
+    const previous = segments[segments.length - 1];
+    if (!speaker && start === null && previous) {
+      previous.text += ` ${said}`;
+    } else {
+      segments.push({ start, end: null, speaker: speaker ?? previous?.speaker ?? null, text: said });
+    }
+  }
+  // A plain-text utterance runs until the next one starts
+  segments.forEach((s, i) => {
+    const next = segments.slice(i + 1).find(n => n.start !== null);
+    if (s.start !== null && next) s.end = next.start;
+  });
+  return segments;
+}
+
+function detectFormat(text) {
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (/^\d+\s*\n\s*\d{1,2}:\d{2}:\d{2},\d{3}\s+-->/.test(text)) return 'srt';
+  return 'text';
+}
+
+// ── Parse ──
+
+/**
+ * Parse a transcript.
+ * @param {string} text
+ * @param {'auto'|'text'|'vtt'|'srt'} [format]
+ */
+function parseTranscript(text, format = 'auto') {
+  const normalized = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  const resolved = format === 'auto' ? detectFormat(normalized) : format;
+  const segments = resolved === 'text' ? parsePlainText(normalized) : parseCues(normalized);
+  if (!segments.length) throw new Error(`No ${resolved === 'text' ? 'lines' : 'cues'} found in the transcript`);
+
+  const speakers = [...new Set(segments.map(s => s.speaker).filter(Boolean))];
+  const starts = segments.map(s => s.start).filter(t => t !== null);
+  const ends = segments.map(s => s.end ?? s.start).filter(t => t !== null);
+  const durationSeconds = starts.length
+    ? ends.reduce((a, b) => Math.max(a, b)) - starts.reduce((a, b) => Math.min(a, b))
+    : null;
+
+  return { format: resolved, segments, speakers, durationSeconds };
+}
+
+/** Segments back to one normalized text: "[00:01:23] Alice: ..." per line. */
+function formatTranscript(segments) {
+  return segments.map(s => [
+    s.start !== null ? `[${formatTimestamp(s.start)}] ` : '',
+    s.speaker ? `${s.speaker}: ` : '',
+    s.text,
+  ].join('')).join('\n');
+}
+
+// ── Conversation Records ──
+
+/**
+ * Source ID for a call the caller didn't give one for: the same transcript for
+ * the same opportunity and date always hashes the same, so re-ingesting it is
+ * detected as a duplicate.
+ */
+function transcriptSourceId(opportunityId, date, segments) {
+  const hash = createHash('sha256').update(`${opportunityId}|${date}|${formatTranscript(segments)}`).digest('hex');
+  return `sha256:${hash.slice(0, 40)}`;
+}
+
+/**
+ * stratoforce__Conversation__c fields for a parsed transcript. Participants
+ * are the given names plus any speakers not already listed.
+ */
+function conversationFields({ opportunityId, date, platform, type, participants = [], sourceId }, parsed) {
+  const known = new Set(participants.map(p => p.toLowerCase()));
+  const everyone = [...participants, ...parsed.speakers.filter(s => !known.has(s.toLowerCase()))];
+  const transcript = formatTranscript(parsed.segments);
+  return {
+    stratoforce__Opportunity__c: opportunityId,
+    stratoforce__Type__c: type,
+    stratoforce__Date__c: date,
+    stratoforce__Source_Platform__c: platform,
+    stratoforce__Duration__c: parsed.durationSeconds === null ? null : Math.max(1, Math.round(parsed.durationSeconds / 60)),
+    stratoforce__Participants__c: everyone.join('; ') || null,
+    stratoforce__Transcript__c: transcript.length > TRANSCRIPT_MAX_CHARS ? transcript.slice(0, TRANSCRIPT_MAX_CHARS) : transcript,
+    stratoforce__Source_Id__c: sourceId || transcriptSourceId(opportunityId, date, parsed.segments),
+  };
+}
+
+// ── Exports ──
+
+export {
+  parseTimestamp,
+  formatTimestamp,
+  parseTranscript,
+  formatTranscript,
+  transcriptSourceId,
+  conversationFields,
+};
@@ -0,0 +1,232 @@
+/**
+ * StratoForce AI — Salesforce API Usage Tracking
+ *
+ * Records every Salesforce call (org, tool, endpoint, duration, status), keeps
+ * the latest /limits snapshot per org, and enforces call budgets so an agent
+ * calling tools in a loop can't drain the org's daily API allocation:
+ *
+ *   sessionBudget — Salesforce calls one MCP session may make per window
+ *   toolBudgets   — Salesforce calls one tool may make per org per window,
+ *                   across all sessions ({ get_leaderboard: 100, ... })
+ *
+ * Budgets count actual HTTP calls (pagination pages included, cache hits
+ * excluded) over a sliding window (windowSeconds, default one hour).
+ *
+ * @version 1.0.0
+ * @since MCP v2.1
+ */
+
+const RECENT_CALLS = 50;
+
+/**
+ * A call refused because a budget is spent.
+ */
+class BudgetExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+/** Sliding-window counter: timestamps of calls still inside the window. */
+function createWindow() {
+  return [];
+}
+
+function countInWindow(times, windowMs, now = Date.now()) {
+  while (times.length && times[0] <= now - windowMs) times.shift();
+  return times.length;
+}
+
+const emptyTotals = () => ({ calls: 0, errors: 0, totalMs: 0 });
+
+function addTo(totals, { durationMs, ok }) {
+  totals.calls++;
+  if (!ok) totals.errors++;
+  totals.totalMs += durationMs;
+}
+
+function summarize(totals) {
+  return {
+    calls: totals.calls,
+    errors: totals.errors,
+    avgMs: totals.calls ? Math.round(totals.totalMs / totals.calls) : 0,
+  };
+}
+
+/**
+ * Create a tracker. One instance is shared by all sessions.
+ */
+function createUsageTracker({ sessionBudget = 0, toolBudgets = {}, windowSeconds = 3600 } = {}) {
+  const windowMs = windowSeconds * 1000;
+  const orgs = new Map();     // orgKey → { totals, byTool, byEndpoint, toolWindows, limits, limitsAt, recent }
+  const sessions = new Map(); // sessionId → { totals, window }
+
+  const orgState = (orgKey) => {
+    if (!orgs.has(orgKey)) {
+      orgs.set(orgKey, {
+        totals: emptyTotals(),
+        byTool: new Map(),
+        byEndpoint: new Map(),
+        toolWindows: new Map(),
+        limits: null,
+        limitsAt: 0,
+        recent: [],
+      });
+    }
+    return orgs.get(orgKey);
+  };
+
+  const sessionState = (sessionId) => {
+    if (!sessions.has(sessionId)) sessions.set(sessionId, { totals: emptyTotals(), window: createWindow() });
+    return sessions.get(sessionId);
+  };
+
+  const bump = (map, key, call) => {
+    if (!map.has(key)) map.set(key, emptyTotals());
+    addTo(map.get(key), call);
+  };
+
+  return {
+    /**
+     * Refuse a call that would exceed the session or tool budget.
+     * @param {object} call - { orgKey, tool, sessionId }
+     */
+    check({ orgKey, tool, sessionId }) {
+      if (sessionBudget && sessionId) {
+        const used = countInWindow(sessionState(sessionId).window, windowMs);
+        if (used >= sessionBudget) {
+          throw new BudgetExceededError(`This session used its budget of ${sessionBudget} Salesforce API calls per ${windowSeconds / 60} minutes. Try again later or reuse earlier results.`);
+        }
+      }
+      const toolBudget = tool && toolBudgets[tool];
+      if (toolBudget) {
+        const times = orgState(orgKey).toolWindows.get(tool) || [];
+        if (countInWindow(times, windowMs) >= toolBudget) {
+          throw new BudgetExceededError(`${tool} used its budget of ${toolBudget} Salesforce API calls per ${windowSeconds / 60} minutes for this org. Try again later.`);
+        }
+      }
+    },
+
+    /**
+     * Record a finished call.
+     * @param {object} call - { orgKey, tool, sessionId, endpoint, method, status, durationMs }
+     */
+    record(call) {
+      const ok = typeof call.status === 'number' && call.status < 400;
+      const entry = { ...call, ok, at: new Date().toISOString() };
+      const org = orgState(call.orgKey);
+      addTo(org.totals, entry);
+      bump(org.byTool, call.tool || '(server)', entry);
+      bump(org.byEndpoint, call.endpoint, entry);
+      org.recent.push(entry);
+      if (org.recent.length > RECENT_CALLS) org.recent.shift();
+
+      const now = Date.now();
+      if (call.tool) {
+        if (!org.toolWindows.has(call.tool)) org.toolWindows.set(call.tool, createWindow());
+        org.toolWindows.get(call.tool).push(now);
+      }
+      if (call.sessionId) {
+        const session = sessionState(call.sessionId);
+        addTo(session.totals, entry);
+        session.window.push(now);
+      }
+    },
+
+    /** Store a /services/data/vXX.X/limits response for an org. */
+    setLimits(orgKey, limits) {
+      const org = orgState(orgKey);
+      org.limits = limits;
+      org.limitsAt = Date.now();
+    },
+
+    /** Milliseconds since the org's limits were fetched (Infinity if never). */
+    limitsAge(orgKey) {
+      const org = orgs.get(orgKey);
+      return org?.limitsAt ? Date.now() - org.limitsAt : Infinity;
+    },
+
+    /** Orgs that have made at least one call. */
+    orgKeys() {
+      return [...orgs.keys()];
+    },
+
+    forgetSession(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    /** Detailed view of one org: totals, per tool/endpoint, limits, recent calls. */
+    orgSnapshot(orgKey) {
+      const org = orgs.get(orgKey);
+      if (!org) return { org: orgKey, ...summarize(emptyTotals()), byTool: {}, byEndpoint: {}, limits: null, recent: [] };
+      const daily = org.limits?.DailyApiRequests;
+      return {
+        org: orgKey,
+        ...summarize(org.totals),
+        byTool: Object.fromEntries([...org.byTool].map(([k, v]) => [k, {
+          ...summarize(v),
+          lastWindow: countInWindow(org.toolWindows.get(k) || [], windowMs),
+          budget: toolBudgets[k] || null,
+        }])),
+        byEndpoint: Object.fromEntries([...org.byEndpoint].map(([k, v]) => [k, summarize(v)])),
+        dailyApiRequests: daily ? { max: daily.Max, remaining: daily.Remaining, used: daily.Max - daily.Remaining } : null,
+        limitsFetchedAt: org.limitsAt ? new Date(org.limitsAt).toISOString() : null,
+        recent: org.recent.slice(-10).map(({ tool, endpoint, method, status, durationMs, at }) => ({ tool, endpoint, method, status, durationMs, at })),
+      };
+    },
+
+    /** One session's usage against its budget. */
+    sessionSnapshot(sessionId) {
+      const session = sessions.get(sessionId);
+      return {
+        ...summarize(session?.totals || emptyTotals()),
+        lastWindow: session ? countInWindow(session.window, windowMs) : 0,
+        budget: sessionBudget || null,
+        windowSeconds,
+      };
+    },
+
+    /** Server-wide totals, for /health. */
+    summary() {
+      const totals = emptyTotals();
+      for (const org of orgs.values()) {
+        totals.calls += org.totals.calls;
+        totals.errors += org.totals.errors;
+        totals.totalMs += org.totals.totalMs;
+      }
+      return {
+        ...summarize(totals),
+        orgs: orgs.size,
+        activeSessions: sessions.size,
+        budgets: { session: sessionBudget || null, tools: toolBudgets, windowSeconds },
+      };
+    },
+  };
+}
+
+/** SF_SESSION_CALL_BUDGET, SF_TOOL_CALL_BUDGETS ("tool=n,..."), SF_BUDGET_WINDOW_SECONDS */
+function usageOptionsFromEnv(env = process.env) {
+  const toolBudgets = {};
+  for (const entry of (env.SF_TOOL_CALL_BUDGETS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [tool, budget] = entry.split('=');
+    if (!tool || !/^\d+$/.test(budget || '')) {
+      console.error('FATAL: SF_TOOL_CALL_BUDGETS entries must be tool=calls.');
+      process.exit(1);
+    }
+    toolBudgets[tool] = Number(budget);
+  }
+  return {
+    sessionBudget: parseInt(env.SF_SESSION_CALL_BUDGET) || 0,
+    toolBudgets,
+    windowSeconds: parseInt(env.SF_BUDGET_WINDOW_SECONDS) || 3600,
+  };
+}
+
+// ── Exports ──
+
+export {
+  BudgetExceededError,
+  createUsageTracker,
+  usageOptionsFromEnv,
+};